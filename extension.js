@@ -6,6 +6,7 @@ import { initLogger, shutdownLogger } from './lib/logger.js';
 // All other classes, constants, and most imports have been moved to their respective files:
 // - dbusService.js: DBus related constants and proxy.
 // - xmlReader.js: Logic for reading monitors.xml.
+// - xmlWriter.js, layoutExchange.js: Export and import of layouts as monitors.xml.
 // - menu.js: Functions for building and updating the monitor selection menu.
 // - toggle.js: The SecondMonitorToggle class.
 // - indicator.js: The SecondMonitorIndicator class (imported above).
@@ -0,0 +1,90 @@
+import { logDebug, logError, nextOpId } from './logger.js';
+
+// Display operations run one at a time through this queue, so a toggle, a
+// primary swap, a menu selection and a MonitorsChanged refresh never
+// interleave between reading the configuration and applying a new one.
+//
+//   queue.run(kind, opId => task(opId), { key })
+//
+// Each run gets its own op ID from nextOpId(kind) and resolves to what the
+// task returns. A waiting run is superseded by a newer one with the same
+// `key`: the older one never runs, the newer one takes the last place in
+// line, and both resolve to its result. Repeated requests for the same
+// state or a burst of MonitorsChanged signals thus run once after the
+// operation in progress. Operations whose effect depends on where they
+// start (a toggle flip, a rotation step, undo) get no key and are never
+// coalesced.
+//
+// When `rerunOn(error)` holds for what a task threw, the task runs once
+// more from the start, before anything else in line, with the same op ID:
+// an operation whose layout was built from a configuration that changed
+// under it thus reads the configuration again and builds a new one.
+export function createCommandQueue({ rerunOn = null } = {}) {
+    const waiting = [];
+    let running = null;
+    let destroyed = false;
+
+    async function runTask(command) {
+        try {
+            return await command.task(command.opId);
+        } catch (e) {
+            if (destroyed || !rerunOn?.(e)) throw e;
+            logDebug('queue.run.rerun', { opId: command.opId, key: command.key, error: `${e}` });
+            return command.task(command.opId);
+        }
+    }
+
+    async function drain() {
+        while (waiting.length > 0 && !destroyed) {
+            running = waiting.shift();
+            logDebug('queue.run.start', {
+                opId: running.opId,
+                key: running.key,
+                waiting: waiting.length,
+            });
+            try {
+                const result = await runTask(running);
+                for (const waiter of running.waiters) waiter.resolve(result);
+            } catch (e) {
+                for (const waiter of running.waiters) waiter.reject(e);
+            }
+        }
+        running = null;
+    }
+
+    return {
+        run(kind, task, { key = null } = {}) {
+            if (destroyed) return Promise.resolve();
+            return new Promise((resolve, reject) => {
+                const opId = nextOpId(kind);
+                const waiters = [{ resolve, reject }];
+                const index = key === null ? -1 : waiting.findIndex(c => c.key === key);
+                if (index !== -1) {
+                    const [superseded] = waiting.splice(index, 1);
+                    logDebug('queue.run.superseded', { opId: superseded.opId, by: opId, key });
+                    waiters.unshift(...superseded.waiters);
+                }
+                waiting.push({ opId, key, task, waiters });
+                if (!running) {
+                    drain().catch(e =>
+                        logError('queue.drain.error', { error: `${e}` })
+                    );
+                }
+            });
+        },
+
+        // True while an operation runs or waits.
+        get busy() {
+            return running !== null || waiting.length > 0;
+        },
+
+        // Drop the waiting runs, which resolve to undefined; the running
+        // one finishes on its own.
+        destroy() {
+            destroyed = true;
+            for (const dropped of waiting.splice(0)) {
+                for (const waiter of dropped.waiters) waiter.resolve(undefined);
+            }
+        },
+    };
+}
@@ -1,5 +1,12 @@
+import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 
+import { exportLayout, importLayout } from './layoutExchange.js';
+import { logError } from './logger.js';
+import { monitorIdentity } from './monitorIdentity.js';
+import { readProfiles } from './profiles.js';
+
+export const VERIFY_MODE = 0; // VERIFY_METHOD: checks a layout without applying it
 export const PERSISTENT_MODE = 2; // PERSISTENT_METHOD
 
 export const DisplayConfigInterface = `
@@ -21,4 +28,277 @@ export const DisplayConfigInterface = `
   </interface>
 </node>`;
 
-export const DisplayConfigProxy = Gio.DBusProxy.makeProxyWrapper(DisplayConfigInterface);
\ No newline at end of file
+export const DisplayConfigProxy = Gio.DBusProxy.makeProxyWrapper(DisplayConfigInterface);
+
+// Mutter refuses ApplyMonitorsConfig with a serial that is no longer the
+// current one: AccessDenied, "The requested configuration is based on
+// stale information".
+export function isStaleSerialError(error) {
+    return error instanceof GLib.Error &&
+        error.matches(Gio.DBusError, Gio.DBusError.ACCESS_DENIED) &&
+        /stale/i.test(error.message);
+}
+
+// The call never reached Mutter, or Mutter went away while it ran, as
+// opposed to Mutter answering with an error about the request itself.
+export function isConnectionError(error) {
+    if (!(error instanceof GLib.Error)) return false;
+    if (error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CLOSED) ||
+        error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.TIMED_OUT))
+        return true;
+    return [
+        Gio.DBusError.DISCONNECTED,
+        Gio.DBusError.NAME_HAS_NO_OWNER,
+        Gio.DBusError.NO_REPLY,
+        Gio.DBusError.SERVICE_UNKNOWN,
+        Gio.DBusError.TIMEOUT,
+        Gio.DBusError.UNKNOWN_METHOD,
+        Gio.DBusError.UNKNOWN_OBJECT,
+    ].some(code => error.matches(Gio.DBusError, code));
+}
+
+// ApplyMonitorsConfig properties from buildApplyArguments() as a{sv}.
+export function packApplyProperties(properties) {
+    const packed = {};
+    if (properties['layout-mode'] !== undefined)
+        packed['layout-mode'] = new GLib.Variant('u', properties['layout-mode']);
+    return packed;
+}
+
+export const UPowerInterface = `
+<node>
+  <interface name="org.freedesktop.UPower">
+    <property name="LidIsClosed" type="b" access="read"/>
+    <property name="LidIsPresent" type="b" access="read"/>
+  </interface>
+</node>`;
+
+export const UPowerProxy = Gio.DBusProxy.makeProxyWrapper(UPowerInterface);
+
+
+// Scripting interface exported by the extension on the session bus.
+export const DUAL_MONITOR_TOGGLE_BUS_NAME = 'org.gnome.Shell.Extensions.DualMonitorToggle';
+export const DUAL_MONITOR_TOGGLE_OBJECT_PATH = '/org/gnome/Shell/Extensions/DualMonitorToggle';
+const DUAL_MONITOR_TOGGLE_ERROR = 'org.gnome.Shell.Extensions.DualMonitorToggle.Error';
+
+export const DualMonitorToggleInterface = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.DualMonitorToggle">
+    <method name="Toggle">
+      <arg type="s" direction="in" name="monitor"/>
+    </method>
+    <method name="Enable">
+      <arg type="s" direction="in" name="monitor"/>
+    </method>
+    <method name="Disable">
+      <arg type="s" direction="in" name="monitor"/>
+    </method>
+    <method name="Solo">
+      <arg type="s" direction="in" name="monitor"/>
+    </method>
+    <method name="Mirror">
+      <arg type="s" direction="in" name="monitor"/>
+    </method>
+    <method name="RestoreAll"/>
+    <method name="Undo"/>
+    <method name="Redo"/>
+    <method name="ApplyProfile">
+      <arg type="s" direction="in" name="name"/>
+    </method>
+    <method name="ListProfiles">
+      <arg type="as" direction="out" name="names"/>
+    </method>
+    <method name="ListMonitors">
+      <arg type="a(sssbbb)" direction="out" name="monitors"/>
+    </method>
+    <method name="GetSnapshot">
+      <arg type="s" direction="out" name="snapshot"/>
+    </method>
+    <method name="ExportLayout">
+      <arg type="s" direction="in" name="source"/>
+      <arg type="s" direction="in" name="name"/>
+      <arg type="s" direction="in" name="format"/>
+      <arg type="s" direction="out" name="layout"/>
+    </method>
+    <method name="ImportLayout">
+      <arg type="s" direction="in" name="target"/>
+      <arg type="s" direction="in" name="name"/>
+      <arg type="s" direction="in" name="xml"/>
+      <arg type="as" direction="out" name="unmatched_monitors"/>
+      <arg type="as" direction="out" name="unmatched_modes"/>
+    </method>
+    <signal name="StateChanged">
+      <arg type="as" name="active_monitors"/>
+    </signal>
+  </interface>
+</node>`;
+
+// Exposes a SecondMonitorToggle to `gdbus call` and scripts. Monitor
+// arguments accept a connector name or a "vendor|product|serial" identity;
+// an empty string means the monitors the quick toggle controls.
+export class DualMonitorToggleService {
+    constructor(toggle) {
+        this._toggle = toggle;
+        this._impl = Gio.DBusExportedObject.wrapJSObject(DualMonitorToggleInterface, this);
+        this._impl.export(Gio.DBus.session, DUAL_MONITOR_TOGGLE_OBJECT_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(
+            Gio.DBus.session,
+            DUAL_MONITOR_TOGGLE_BUS_NAME,
+            Gio.BusNameOwnerFlags.NONE,
+            null,
+            null
+        );
+        this._lastState = null;
+    }
+
+    destroy() {
+        if (this._nameId) {
+            Gio.bus_unown_name(this._nameId);
+            this._nameId = 0;
+        }
+        if (this._impl) {
+            this._impl.unexport();
+            this._impl = null;
+        }
+        this._toggle = null;
+    }
+
+    // Called by the toggle after every configuration fetch.
+    emitStateChanged(activeConnectors) {
+        const state = JSON.stringify(activeConnectors);
+        if (!this._impl || state === this._lastState) return;
+        this._lastState = state;
+        this._impl.emit_signal('StateChanged', new GLib.Variant('(as)', [activeConnectors]));
+    }
+
+    _resolveTargets(monitor) {
+        if (!monitor) return null;
+        const phys = this._toggle._monitors.find(m =>
+            m[0][0] === monitor || monitorIdentity(m) === monitor
+        );
+        if (!phys) throw new Error(`Unknown monitor: ${monitor}`);
+        return [phys[0][0]];
+    }
+
+    // Run a toggle operation and complete the invocation with its outcome.
+    _runAsync(invocation, operation) {
+        const toggle = this._toggle;
+        let promise;
+        try {
+            if (!toggle || !toggle._proxy) throw new Error('Display configuration is unavailable');
+            promise = operation(toggle);
+        } catch (e) {
+            invocation.return_dbus_error(`${DUAL_MONITOR_TOGGLE_ERROR}.Failed`, `${e.message ?? e}`);
+            return;
+        }
+        promise.then(ok => {
+            if (ok)
+                invocation.return_value(null);
+            else
+                invocation.return_dbus_error(`${DUAL_MONITOR_TOGGLE_ERROR}.Failed`,
+                    'The display configuration could not be applied');
+        }).catch(e => {
+            logError('dbus.method.error', { error: `${e}` });
+            invocation.return_dbus_error(`${DUAL_MONITOR_TOGGLE_ERROR}.Failed`, `${e.message ?? e}`);
+        });
+    }
+
+    // Run a synchronous operation and return its result as `signature`.
+    _runSync(invocation, signature, operation) {
+        const toggle = this._toggle;
+        try {
+            if (!toggle || !toggle._proxy) throw new Error('Display configuration is unavailable');
+            invocation.return_value(new GLib.Variant(signature, operation(toggle)));
+        } catch (e) {
+            logError('dbus.method.error', { error: `${e}` });
+            invocation.return_dbus_error(`${DUAL_MONITOR_TOGGLE_ERROR}.Failed`, `${e.message ?? e}`);
+        }
+    }
+
+    ToggleAsync([monitor], invocation) {
+        this._runAsync(invocation, toggle => toggle._toggleMonitor(this._resolveTargets(monitor)));
+    }
+
+    EnableAsync([monitor], invocation) {
+        this._runAsync(invocation, toggle =>
+            toggle._toggleMonitor(this._resolveTargets(monitor) ?? toggle._getTargetConnectors(), true));
+    }
+
+    DisableAsync([monitor], invocation) {
+        this._runAsync(invocation, toggle =>
+            toggle._toggleMonitor(this._resolveTargets(monitor) ?? toggle._getTargetConnectors(), false));
+    }
+
+    SoloAsync([monitor], invocation) {
+        this._runAsync(invocation, toggle =>
+            toggle._soloMonitor(this._resolveTargets(monitor)?.[0] ?? toggle._monitor));
+    }
+
+    MirrorAsync([monitor], invocation) {
+        this._runAsync(invocation, toggle =>
+            toggle._mirrorMonitor(this._resolveTargets(monitor)?.[0] ?? toggle._monitor));
+    }
+
+    RestoreAllAsync(_params, invocation) {
+        this._runAsync(invocation, toggle => toggle._restoreSnapshot());
+    }
+
+    UndoAsync(_params, invocation) {
+        this._runAsync(invocation, toggle => {
+            if (toggle._history.undo.length === 0) throw new Error('Nothing to undo');
+            return toggle._undoDisplayChange();
+        });
+    }
+
+    RedoAsync(_params, invocation) {
+        this._runAsync(invocation, toggle => {
+            if (toggle._history.redo.length === 0) throw new Error('Nothing to redo');
+            return toggle._redoDisplayChange();
+        });
+    }
+
+    ApplyProfileAsync([name], invocation) {
+        this._runAsync(invocation, toggle => toggle._applyProfile(name));
+    }
+
+    ListProfiles() {
+        return readProfiles(this._toggle?._settings).map(p => p.name);
+    }
+
+    ListMonitors() {
+        const toggle = this._toggle;
+        if (!toggle) return [];
+        return toggle._monitors.map(m => {
+            const connector = m[0][0];
+            const lm = toggle._logicalMonitors.find(l => l[5].some(x => x[0] === connector));
+            return [
+                connector,
+                toggle._getMonitorDisplayName(connector, 'long'),
+                monitorIdentity(m) ?? '',
+                !!lm,
+                !!lm?.[4],
+                connector === toggle._monitor,
+            ];
+        });
+    }
+
+    GetSnapshot() {
+        const toggle = this._toggle;
+        if (!toggle) return '{}';
+        return JSON.stringify({ hardware: toggle._snapshotHardware, monitors: toggle._snapshot });
+    }
+
+    // source: current | snapshot | profile (with name); format: xml | json.
+    ExportLayoutAsync([source, name, format], invocation) {
+        this._runSync(invocation, '(s)', toggle =>
+            [exportLayout(toggle._layoutState(), toggle._settings, source, name, format || 'xml')]);
+    }
+
+    // target: snapshot | profile (with name); xml: monitors.xml contents.
+    ImportLayoutAsync([target, name, xml], invocation) {
+        this._runSync(invocation, '(asas)', toggle => {
+            const result = importLayout(toggle._layoutState(), toggle._settings, target, name, xml);
+            return [result.unmatchedMonitors, result.unmatchedModes];
+        });
+    }
+}
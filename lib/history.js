@@ -0,0 +1,45 @@
+import { buildCurrentLayout } from './layout.js';
+import { captureProfile } from './profiles.js';
+
+// Undo/redo history of applied layouts, kept in memory by the quick toggle:
+//   { undo: [entry], redo: [entry] }   oldest first
+// Entries are captured like unnamed profiles, with the toggle's solo and
+// mirror state, so buildProfileLayout() restores them on whatever monitors
+// are connected by then, matching identities and modes again.
+
+export const HISTORY_LIMIT = 20;
+
+export function createHistory() {
+    return { undo: [], redo: [] };
+}
+
+// Entry for the layout in `state` (GetCurrentState data).
+export function captureHistoryEntry(state, soloConnector = null, mirrorConnector = null) {
+    return {
+        ...captureProfile('', state.monitors, buildCurrentLayout(state)),
+        soloConnector,
+        mirrorConnector,
+    };
+}
+
+// A change was applied: the layout from before it can be undone, and
+// whatever could be redone is dropped. Only the last `limit` are kept.
+export function recordChange(history, before, limit = HISTORY_LIMIT) {
+    return { undo: [...history.undo, before].slice(-limit), redo: [] };
+}
+
+// Step back (`undo`) or forward (`redo`) from the `current` layout.
+// Returns { entry, history }: the layout to apply, and the history to keep
+// once it is applied. `entry` is null when there is nothing to step to.
+export function stepHistory(history, direction, current) {
+    const from = direction === 'undo' ? history.undo : history.redo;
+    const to = direction === 'undo' ? history.redo : history.undo;
+    if (from.length === 0) return { entry: null, history };
+    const stepped = { from: from.slice(0, -1), to: [...to, current] };
+    return {
+        entry: from[from.length - 1],
+        history: direction === 'undo'
+            ? { undo: stepped.from, redo: stepped.to }
+            : { undo: stepped.to, redo: stepped.from },
+    };
+}
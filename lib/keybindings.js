@@ -0,0 +1,70 @@
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { logError, logInfo } from './logger.js';
+
+// Settings key → action run on the toggle.
+const KEYBINDING_ACTIONS = {
+    'toggle-monitor-shortcut': toggleSelectedMonitor,
+    'cycle-monitor-shortcut': cycleSelectedMonitor,
+    'solo-monitor-shortcut': soloSelectedMonitor,
+    'restore-all-shortcut': restoreAllMonitors,
+    'rotate-monitor-shortcut': rotateSelectedMonitor,
+};
+
+let _registered = [];
+
+// The toggle shows an OSD for each display change; cycling only moves
+// the selection, so it says which monitor is selected now, unless the
+// 'feedback-level' setting turns OSDs off.
+async function toggleSelectedMonitor(toggle) {
+    await toggle._toggleMonitor();
+}
+
+async function cycleSelectedMonitor(toggle) {
+    await toggle._cycleSelectedMonitor();
+    toggle._showChangeOsd('video-display-symbolic', toggle._getMonitorDisplayName(toggle._monitor, 'long'));
+}
+
+async function soloSelectedMonitor(toggle) {
+    await toggle._soloMonitor(toggle._monitor);
+}
+
+async function restoreAllMonitors(toggle) {
+    await toggle._restoreSnapshot();
+}
+
+async function rotateSelectedMonitor(toggle) {
+    await toggle._rotateSelectedMonitor();
+}
+
+export function addKeybindings(toggle, settings) {
+    removeKeybindings();
+
+    for (const [key, action] of Object.entries(KEYBINDING_ACTIONS)) {
+        const added = Main.wm.addKeybinding(
+            key,
+            settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => {
+                logInfo('keybinding.activated', { key });
+                action(toggle).catch(e =>
+                    logError('keybinding.action.error', {
+                        key,
+                        error: `${e}`,
+                    })
+                );
+            }
+        );
+        if (added !== Meta.KeyBindingAction.NONE)
+            _registered.push(key);
+    }
+}
+
+export function removeKeybindings() {
+    for (const key of _registered)
+        Main.wm.removeKeybinding(key);
+    _registered = [];
+}
@@ -0,0 +1,798 @@
+// Layout engine shared by the quick toggle, the D-Bus API and the
+// command-line tool. Pure functions only: no GNOME Shell, GLib or D-Bus
+// imports, so it runs headless under gjs or node.
+//
+// `state` is GetCurrentState-shaped data plus the restore snapshot:
+//   { serial, monitors, logicalMonitors, properties, snapshot }
+// Property dictionaries (a{sv}) may hold GLib.Variants or plain values.
+// Builders return logical monitors in ApplyMonitorsConfig form:
+//   [x, y, scale, transform, primary, [[connector, modeId, {}]], {}]
+
+import { findMonitorByRef, identityFromSpec } from './monitorIdentity.js';
+import { DEFAULT_PLACEMENT } from './placement.js';
+
+// Read an a{sv} entry whether it is still a GLib.Variant or already plain.
+export function unpackProperty(value) {
+    return value && typeof value.deepUnpack === 'function' ? value.deepUnpack() : value;
+}
+
+function modeFlag(mode, name) {
+    return !!unpackProperty(mode[6]?.[name]);
+}
+
+function findPhysical(state, connector) {
+    return state.monitors.find(p => p[0][0] === connector);
+}
+
+// Shift all positions so that min(x)=0, min(y)=0. Mutter rejects negative coords.
+export function normalizePositions(logicalMonitors) {
+    if (logicalMonitors.length === 0) return logicalMonitors;
+    let minX = Infinity, minY = Infinity;
+    for (const lm of logicalMonitors) {
+        if (lm[0] < minX) minX = lm[0];
+        if (lm[1] < minY) minY = lm[1];
+    }
+    if (minX === 0 && minY === 0) return logicalMonitors;
+    return logicalMonitors.map(lm => {
+        const [x, y, scale, transform, isPrimary, monitors, properties] = lm;
+        return [x - minX, y - minY, scale, transform, isPrimary, monitors, properties];
+    });
+}
+
+// Fix Mutter bug: sometimes multiple monitors report primary=true.
+// Keep only the first one as primary.
+export function fixPrimaryFlags(logicalMonitors) {
+    const primaries = logicalMonitors.filter(lm => lm[4]);
+    if (primaries.length <= 1) return;
+    let first = true;
+    for (const lm of logicalMonitors) {
+        if (lm[4]) {
+            if (!first) lm[4] = false;
+            first = false;
+        }
+    }
+}
+
+// Exactly one primary: the first flagged one, or the first monitor.
+export function ensurePrimary(logicalMonitors) {
+    fixPrimaryFlags(logicalMonitors);
+    if (!logicalMonitors.some(lm => lm[4]) && logicalMonitors.length > 0) {
+        logicalMonitors[0][4] = true;
+    }
+}
+
+export function isConnectorActive(logicalMonitors, connector) {
+    return logicalMonitors.some(lm =>
+        lm[5].some(m => m[0] === connector)
+    );
+}
+
+// Resolve the best mode ID for a connector from physical monitor data.
+export function resolveModeId(state, connector) {
+    const phys = findPhysical(state, connector);
+    if (!phys) return null;
+    // Prefer: saved snapshot mode → is-current → is-preferred → first available
+    const snapMode = state.snapshot[connector]?.modeId;
+    if (snapMode && phys[1].some(m => m[0] === snapMode)) return snapMode;
+    const current = phys[1].find(m => typeof m[0] === 'string' && modeFlag(m, 'is-current'));
+    if (current) return current[0];
+    const preferred = phys[1].find(m => typeof m[0] === 'string' && modeFlag(m, 'is-preferred'));
+    if (preferred) return preferred[0];
+    const first = phys[1].find(m => typeof m[0] === 'string');
+    return first ? first[0] : null;
+}
+
+// Mode ID the connector is showing right now, from the is-current flag.
+export function currentModeId(state, connector) {
+    const phys = findPhysical(state, connector);
+    const current = phys?.[1].find(m => typeof m[0] === 'string' && modeFlag(m, 'is-current'));
+    return current ? current[0] : null;
+}
+
+// The live layout in ApplyMonitorsConfig form, with the mode each monitor
+// is showing.
+export function buildCurrentLayout(state) {
+    return state.logicalMonitors.map(lm => [
+        lm[0], lm[1], lm[2], lm[3], lm[4],
+        lm[5].map(m => [m[0], currentModeId(state, m[0]), {}]).filter(m => m[1]),
+        {},
+    ]).filter(lm => lm[5].length > 0);
+}
+
+// Mode ID of `physMonitor` with a saved { width, height, rate } mode (as in
+// monitors.xml or a profile), at the closest refresh rate; null when none fits.
+export function findModeIdForMode(physMonitor, mode) {
+    if (!physMonitor || !mode) return null;
+    const candidates = physMonitor[1].filter(m =>
+        typeof m[0] === 'string' && m[1] === mode.width && m[2] === mode.height
+    );
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => Math.abs(a[3] - mode.rate) - Math.abs(b[3] - mode.rate));
+    return candidates[0][0];
+}
+
+// Can the snapshot put every target back, next to at least one other monitor?
+export function hasSnapshotFor(state, targets) {
+    return targets.every(conn => state.snapshot[conn]) &&
+        Object.keys(state.snapshot).length > targets.length;
+}
+
+// Logical monitors for every connected monitor in the snapshot, at
+// their saved positions.
+export function buildSnapshotLayout(state) {
+    const logicalMonitors = [];
+    for (const [conn, s] of Object.entries(state.snapshot)) {
+        const modeId = resolveModeId(state, conn);
+        if (!modeId) continue;
+        // Check if this connector is actually available (still plugged in)
+        if (!findPhysical(state, conn)) continue;
+        logicalMonitors.push([
+            s.x, s.y, s.scale, s.transform, s.isPrimary,
+            [[conn, modeId, {}]], {},
+        ]);
+    }
+    return logicalMonitors;
+}
+
+// Remove the targeted monitors; keep the rest where they are unless that
+// leaves them apart, then close the gaps the removed ones leave. When the
+// primary goes, `preferredPrimary` (a connector) takes over if it stays on.
+// Returns an empty list when nothing would be left on.
+export function buildDisableLayout(state, targets, preferredPrimary = null) {
+    const logicalMonitors = state.logicalMonitors
+        .map(lm => {
+            const filtered = lm[5].filter(m => !targets.includes(m[0]));
+            if (filtered.length === 0) return null;
+            return [lm[0], lm[1], lm[2], lm[3], lm[4], filtered, lm[6]];
+        })
+        .filter(lm => lm !== null);
+
+    const removed = state.logicalMonitors
+        .filter(lm => lm[5].every(m => targets.includes(m[0])))
+        .map(lm => logicalMonitorRect(state, lm))
+        .filter(rect => rect);
+    if (removed.length > 0 && findGeometryProblems(state, logicalMonitors).length > 0) {
+        const closed = closeGaps(state, logicalMonitors, removed);
+        if (findGeometryProblems(state, closed).length === 0)
+            logicalMonitors.splice(0, logicalMonitors.length, ...closed);
+    }
+
+    // Single remaining monitor goes to origin.
+    if (logicalMonitors.length === 1) {
+        logicalMonitors[0][0] = 0;
+        logicalMonitors[0][1] = 0;
+    }
+
+    const losesPrimary = state.logicalMonitors.some(lm => lm[4] && lm[5].some(m => targets.includes(m[0])));
+    const preferred = losesPrimary && preferredPrimary
+        ? logicalMonitors.find(lm => lm[5].some(m => m[0] === preferredPrimary)) : null;
+    if (preferred) {
+        for (const lm of logicalMonitors) lm[4] = lm === preferred;
+    }
+
+    ensurePrimary(logicalMonitors);
+    return logicalMonitors;
+}
+
+// Copies of the logical monitors with the space the `removed` rectangles
+// covered taken out: monitors in the same row past a removed one's right
+// edge move left by its width, monitors in the same column below it move up
+// by its height. The rightmost and lowest go first, so each removed
+// rectangle is still where it was when its gap is closed.
+function closeGaps(state, logicalMonitors, removed) {
+    const closed = logicalMonitors.map(lm => [...lm]);
+    const order = [...removed].sort((a, b) => b.x - a.x || b.y - a.y);
+    for (const gap of order) {
+        for (const lm of closed) {
+            const rect = logicalMonitorRect(state, lm);
+            if (!rect) continue;
+            if (rect.x >= gap.x + gap.width && rect.y < gap.y + gap.height && gap.y < rect.y + rect.height)
+                lm[0] -= gap.width;
+            else if (rect.y >= gap.y + gap.height && rect.x < gap.x + gap.width && gap.x < rect.x + rect.width)
+                lm[1] -= gap.height;
+        }
+    }
+    return closed;
+}
+
+// Logical monitors for a parsed monitors.xml configuration, with each
+// monitorspec matched to a connected monitor and its saved mode.
+// Returns { logicalMonitors, missing, missingModes }: connector names of
+// monitorspecs that are not connected, and "connector WxH@rate" for
+// connected monitors that lack the saved mode. Both are left out.
+export function buildConfigurationLayout(state, configuration) {
+    const logicalMonitors = [];
+    const missing = [];
+    const missingModes = [];
+    for (const lm of configuration.logicalMonitors) {
+        const monitors = [];
+        for (const { spec, mode } of lm.monitors) {
+            const phys = findMonitorByRef(state.monitors, {
+                identity: identityFromSpec(spec.vendor, spec.product, spec.serial),
+                connector: spec.connector,
+            });
+            if (!phys) {
+                missing.push(spec.connector);
+                continue;
+            }
+            const modeId = mode ? findModeIdForMode(phys, mode) : resolveModeId(state, phys[0][0]);
+            if (!modeId) {
+                missingModes.push(`${phys[0][0]} ${mode.width}x${mode.height}@${mode.rate}`);
+                continue;
+            }
+            monitors.push([phys[0][0], modeId, {}]);
+        }
+        if (monitors.length > 0)
+            logicalMonitors.push([lm.x, lm.y, lm.scale, lm.transform, lm.primary, monitors, {}]);
+    }
+    return { logicalMonitors, missing, missingModes };
+}
+
+// Mutter layout modes (the 'layout-mode' property): in the logical one a
+// monitor covers its mode size divided by its scale, in the physical one
+// its mode size.
+export const LOGICAL_LAYOUT_MODE = 1;
+export const PHYSICAL_LAYOUT_MODE = 2;
+
+export function layoutModeOf(state) {
+    return unpackProperty(state.properties?.['layout-mode']) ?? LOGICAL_LAYOUT_MODE;
+}
+
+// Size of a mode in layout coordinates: [width, height]. Odd transforms
+// (90° and 270°, flipped or not) swap width and height.
+export function logicalSize(mode, scale, transform = 0, layoutMode = LOGICAL_LAYOUT_MODE) {
+    const divisor = layoutMode === PHYSICAL_LAYOUT_MODE ? 1 : scale;
+    const width = Math.round(mode[1] / divisor);
+    const height = Math.round(mode[2] / divisor);
+    return transform % 2 === 1 ? [height, width] : [width, height];
+}
+
+// Rectangle { x, y, width, height } a logical monitor covers, from the mode
+// of its first monitor, its scale and transform and the layout mode. Takes
+// ApplyMonitorsConfig or GetCurrentState logical monitors; the latter are
+// measured by their current mode. Null when the mode is unknown.
+export function logicalMonitorRect(state, logicalMonitor) {
+    const [conn, modeId] = logicalMonitor[5][0] ?? [];
+    const modes = findPhysical(state, conn)?.[1] ?? [];
+    const mode = modes.find(m => m[0] === modeId) ??
+        modes.find(m => m[0] === currentModeId(state, conn));
+    if (!mode) return null;
+    const [width, height] = logicalSize(mode, logicalMonitor[2], logicalMonitor[3], layoutModeOf(state));
+    return { x: logicalMonitor[0], y: logicalMonitor[1], width, height };
+}
+
+function rectsOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// Do two rectangles share a stretch of edge (corners alone do not count)?
+function rectsAdjacent(a, b) {
+    const sideBySide = (a.x + a.width === b.x || b.x + b.width === a.x) &&
+        a.y < b.y + b.height && b.y < a.y + a.height;
+    const stacked = (a.y + a.height === b.y || b.y + b.height === a.y) &&
+        a.x < b.x + b.width && b.x < a.x + a.width;
+    return sideBySide || stacked;
+}
+
+// What Mutter would reject in a layout's geometry, as
+// [{ problem, connectors }]: 'overlap' for two logical monitors covering the
+// same area, 'not-adjacent' for one that no chain of touching or overlapping
+// monitors links to the first, so two separate groups are caught too.
+// Logical monitors whose mode is unknown are skipped.
+export function findGeometryProblems(state, logicalMonitors) {
+    const rects = logicalMonitors
+        .map(lm => ({ rect: logicalMonitorRect(state, lm), connectors: lm[5].map(m => m[0]) }))
+        .filter(entry => entry.rect);
+    const problems = [];
+    for (let i = 0; i < rects.length; i++) {
+        for (let j = i + 1; j < rects.length; j++) {
+            if (rectsOverlap(rects[i].rect, rects[j].rect))
+                problems.push({ problem: 'overlap', connectors: [...rects[i].connectors, ...rects[j].connectors] });
+        }
+    }
+
+    const reached = new Set(rects.length > 0 ? [0] : []);
+    const pending = [...reached];
+    while (pending.length > 0) {
+        const current = rects[pending.shift()].rect;
+        rects.forEach((other, j) => {
+            if (reached.has(j)) return;
+            if (rectsAdjacent(current, other.rect) || rectsOverlap(current, other.rect)) {
+                reached.add(j);
+                pending.push(j);
+            }
+        });
+    }
+    rects.forEach((entry, i) => {
+        if (!reached.has(i))
+            problems.push({ problem: 'not-adjacent', connectors: entry.connectors });
+    });
+    return problems;
+}
+
+function boundingRect(rects) {
+    if (rects.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+    const x = Math.min(...rects.map(r => r.x));
+    const y = Math.min(...rects.map(r => r.y));
+    return {
+        x,
+        y,
+        width: Math.max(...rects.map(r => r.x + r.width)) - x,
+        height: Math.max(...rects.map(r => r.y + r.height)) - y,
+    };
+}
+
+function alignedStart(start, length, size, alignment) {
+    switch (alignment) {
+    case 'center':
+        return start + Math.round((length - size) / 2);
+    case 'end':
+        return start + length - size;
+    default:
+        return start;
+    }
+}
+
+// Top-left corner for a width x height monitor on `side` (right, left,
+// above, below) of the `anchor` rectangle, aligned along the shared edge.
+export function placeBeside(anchor, width, height, side, alignment = 'start') {
+    switch (side) {
+    case 'left':
+        return { x: anchor.x - width, y: alignedStart(anchor.y, anchor.height, height, alignment) };
+    case 'above':
+        return { x: alignedStart(anchor.x, anchor.width, width, alignment), y: anchor.y - height };
+    case 'below':
+        return { x: alignedStart(anchor.x, anchor.width, width, alignment), y: anchor.y + anchor.height };
+    default:
+        return { x: anchor.x + anchor.width, y: alignedStart(anchor.y, anchor.height, height, alignment) };
+    }
+}
+
+// Monitors past the anchor's `side` edge move out by the new monitor's size,
+// so it fits in between without overlapping. Mutates `logicalMonitors`.
+function makeRoom(state, logicalMonitors, anchor, side, width, height) {
+    for (const lm of logicalMonitors) {
+        const rect = logicalMonitorRect(state, lm);
+        if (!rect) continue;
+        switch (side) {
+        case 'left':
+            if (rect.x + rect.width <= anchor.x) lm[0] -= width;
+            break;
+        case 'above':
+            if (rect.y + rect.height <= anchor.y) lm[1] -= height;
+            break;
+        case 'below':
+            if (rect.y >= anchor.y + anchor.height) lm[1] += height;
+            break;
+        default:
+            if (rect.x >= anchor.x + anchor.width) lm[0] += width;
+        }
+    }
+}
+
+// Position of `connector` from a monitors.xml placement: the offset it had
+// from another monitor of the same configuration that is on now. Null when
+// there is none, or when a width x height monitor there would overlap or
+// float free of the current layout.
+function savedRelativePosition(state, logicalMonitors, connector, saved, width, height) {
+    const position = savedOffsetPosition(state, logicalMonitors, connector, saved);
+    if (!position) return null;
+    const rect = { ...position, width, height };
+    const others = logicalMonitors.map(lm => logicalMonitorRect(state, lm)).filter(r => r);
+    if (others.some(other => rectsOverlap(rect, other)) || !others.some(other => rectsAdjacent(rect, other)))
+        return null;
+    return position;
+}
+
+function savedOffsetPosition(state, logicalMonitors, connector, saved) {
+    for (const savedLm of saved?.configuration?.logicalMonitors ?? []) {
+        for (const { spec } of savedLm.monitors) {
+            const phys = findMonitorByRef(state.monitors, {
+                identity: identityFromSpec(spec.vendor, spec.product, spec.serial),
+                connector: spec.connector,
+            });
+            if (!phys || phys[0][0] === connector) continue;
+            const current = logicalMonitors.find(lm => lm[5].some(m => m[0] === phys[0][0]));
+            if (current)
+                return { x: current[0] + saved.x - savedLm.x, y: current[1] + saved.y - savedLm.y };
+        }
+    }
+    return null;
+}
+
+// Turn the targets on: from the snapshot when it covers them, then from the
+// monitors.xml configuration saved for this hardware, otherwise by the
+// placement policy ({ side, anchor, alignment }, see placement.js).
+// `loadSavedPlacement(connector, physMonitor)` may return a monitors.xml
+// placement; its scale, transform and mode are used in every case, its
+// position when the side is 'auto'. Several targets line up one after
+// another. Returns { logicalMonitors, fromSnapshot, fromSavedConfiguration,
+// error }.
+export function buildEnableLayout(state, targets, {
+    loadSavedPlacement = null,
+    savedConfiguration = null,
+    placement = null,
+} = {}) {
+    if (hasSnapshotFor(state, targets)) {
+        const logicalMonitors = buildSnapshotLayout(state);
+        ensurePrimary(logicalMonitors);
+        return { logicalMonitors, fromSnapshot: true, fromSavedConfiguration: false, error: null };
+    }
+
+    if (savedConfiguration) {
+        const { logicalMonitors, missing, missingModes } = buildConfigurationLayout(state, savedConfiguration);
+        if (missing.length === 0 && missingModes.length === 0 && targets.every(conn => isConnectorActive(logicalMonitors, conn))) {
+            ensurePrimary(logicalMonitors);
+            return { logicalMonitors, fromSnapshot: false, fromSavedConfiguration: true, error: null };
+        }
+    }
+
+    const logicalMonitors = state.logicalMonitors.map(lm => {
+        const conn = lm[5][0]?.[0];
+        const modeId = resolveModeId(state, conn);
+        if (!modeId) return null;
+        return [lm[0], lm[1], lm[2], lm[3], lm[4],
+            [[conn, modeId, {}]], {}];
+    }).filter(lm => lm !== null);
+
+    const policy = { ...DEFAULT_PLACEMENT, ...placement };
+    const side = policy.side === 'auto' ? 'right' : policy.side;
+    let anchorConn = policy.anchor && !targets.includes(policy.anchor) &&
+        isConnectorActive(logicalMonitors, policy.anchor) ? policy.anchor : null;
+
+    for (const conn of targets) {
+        if (isConnectorActive(state.logicalMonitors, conn)) continue;
+        const physMon = findPhysical(state, conn);
+        if (!physMon)
+            return { logicalMonitors: [], fromSnapshot: false, fromSavedConfiguration: false, error: 'physical-monitor-not-found' };
+
+        let scale = 1.0, transform = 0;
+        const saved = loadSavedPlacement ? loadSavedPlacement(conn, physMon) : null;
+        if (saved) {
+            scale = saved.scale;
+            transform = saved.transform;
+        }
+
+        const modeId = findModeIdForMode(physMon, saved?.mode) ?? resolveModeId(state, conn);
+        if (!modeId)
+            return { logicalMonitors: [], fromSnapshot: false, fromSavedConfiguration: false, error: 'no-mode-for-monitor' };
+
+        const mode = physMon[1].find(md => md[0] === modeId);
+        const [width, height] = mode ? logicalSize(mode, scale, transform, layoutModeOf(state)) : [0, 0];
+        let position = policy.side === 'auto' ? savedRelativePosition(state, logicalMonitors, conn, saved, width, height) : null;
+        if (!position) {
+            const anchorLm = anchorConn && logicalMonitors.find(lm => lm[5].some(m => m[0] === anchorConn));
+            const anchor = anchorLm
+                ? logicalMonitorRect(state, anchorLm)
+                : boundingRect(logicalMonitors.map(lm => logicalMonitorRect(state, lm)).filter(r => r));
+            if (anchorLm) makeRoom(state, logicalMonitors, anchor, side, width, height);
+            position = placeBeside(anchor, width, height, side, policy.alignment);
+        }
+
+        logicalMonitors.push([
+            position.x, position.y, scale, transform, false,
+            [[conn, modeId, {}]], {},
+        ]);
+        // The next target goes beside this one.
+        if (anchorConn) anchorConn = conn;
+    }
+
+    ensurePrimary(logicalMonitors);
+    return { logicalMonitors, fromSnapshot: false, fromSavedConfiguration: false, error: null };
+}
+
+// Resolve mode IDs for all monitors (in case we carried over placeholder IDs).
+// Mode IDs the monitor actually offers are kept, and so are mirrored
+// monitors sharing a logical monitor.
+export function resolveLayoutModes(state, logicalMonitors) {
+    return logicalMonitors.map(lm => {
+        const monitors = lm[5].map(([conn, chosen]) => {
+            const phys = findPhysical(state, conn);
+            const modeId = phys?.[1].some(m => m[0] === chosen) ? chosen : resolveModeId(state, conn);
+            return modeId ? [conn, modeId, {}] : null;
+        }).filter(m => m !== null);
+        if (monitors.length === 0) return null;
+        return [lm[0], lm[1], lm[2], lm[3], lm[4], monitors, {}];
+    }).filter(lm => lm !== null);
+}
+
+// Everything the quick toggle does on a click, as one computation.
+// `enable` null flips the targets; true/false forces a state.
+// `restoreSnapshot` brings back the full snapshot (leaving solo/mirror).
+// `savedConfiguration` is the monitors.xml configuration for this hardware;
+// `placement` the policy for monitors neither of them places.
+// `preferredPrimary` takes over when a disabled target was the primary.
+// Returns { enable, unchanged, fromSnapshot, fromSavedConfiguration,
+// logicalMonitors, error }.
+export function computeToggleLayout(state, targets, {
+    enable = null,
+    restoreSnapshot = false,
+    loadSavedPlacement = null,
+    savedConfiguration = null,
+    placement = null,
+    preferredPrimary = null,
+} = {}) {
+    const result = {
+        enable: true,
+        unchanged: false,
+        fromSnapshot: false,
+        fromSavedConfiguration: false,
+        logicalMonitors: [],
+        error: null,
+    };
+
+    if (restoreSnapshot) {
+        result.fromSnapshot = true;
+        result.logicalMonitors = buildSnapshotLayout(state);
+        ensurePrimary(result.logicalMonitors);
+    } else {
+        const anyActive = targets.some(conn => isConnectorActive(state.logicalMonitors, conn));
+        result.enable = enable === null ? !anyActive : enable;
+        if (result.enable ? targets.every(conn => isConnectorActive(state.logicalMonitors, conn)) : !anyActive) {
+            result.unchanged = true;
+            return result;
+        }
+
+        if (result.enable) {
+            const built = buildEnableLayout(state, targets, { loadSavedPlacement, savedConfiguration, placement });
+            if (built.error) return { ...result, error: built.error };
+            result.fromSnapshot = built.fromSnapshot;
+            result.fromSavedConfiguration = built.fromSavedConfiguration;
+            result.logicalMonitors = built.logicalMonitors;
+        } else {
+            result.logicalMonitors = buildDisableLayout(state, targets, preferredPrimary);
+            if (result.logicalMonitors.length === 0)
+                return { ...result, error: 'no-monitors-left' };
+        }
+    }
+
+    result.logicalMonitors = resolveLayoutModes(state, result.logicalMonitors);
+    if (result.logicalMonitors.length === 0)
+        result.error = 'no-valid-monitors';
+    return result;
+}
+
+// Keep only `connector` on, at the origin as primary. Keeps its current
+// scale and rotation, or the snapshot ones when it is off.
+// Returns { logicalMonitors, error }.
+export function buildSoloLayout(state, connector) {
+    const modeId = resolveModeId(state, connector);
+    if (!modeId) return { logicalMonitors: [], error: 'no-mode-for-monitor' };
+
+    const currentLm = state.logicalMonitors.find(lm => lm[5].some(m => m[0] === connector));
+    const snap = state.snapshot[connector];
+    const scale = currentLm ? currentLm[2] : snap?.scale ?? 1.0;
+    const transform = currentLm ? currentLm[3] : snap?.transform ?? 0;
+
+    const logicalMonitors = normalizePositions([
+        [0, 0, scale, transform, true, [[connector, modeId, {}]], {}],
+    ]);
+    fixPrimaryFlags(logicalMonitors);
+    return { logicalMonitors, error: null };
+}
+
+// Pick the largest resolution both monitors support, each at its highest
+// refresh rate for that resolution. Returns [primaryMode, secondaryMode] or null.
+export function findCommonMirrorModes(primaryPhys, secondaryPhys) {
+    let best = null;
+    for (const mode of primaryPhys[1]) {
+        if (typeof mode[0] !== 'string') continue;
+        const match = secondaryPhys[1].filter(m =>
+            typeof m[0] === 'string' && m[1] === mode[1] && m[2] === mode[2]
+        ).sort((a, b) => b[3] - a[3])[0];
+        if (!match) continue;
+        const area = mode[1] * mode[2];
+        const bestArea = best ? best[0][1] * best[0][2] : 0;
+        if (!best || area > bestArea || (area === bestArea && mode[3] > best[0][3]))
+            best = [mode, match];
+    }
+    return best;
+}
+
+// A logical monitor at (x, y) changed size from oldSize to newSize: monitors
+// starting at or past its old right or bottom edge move by the difference so
+// they stay adjacent. Mutates `logicalMonitors`.
+function shiftNeighbours(logicalMonitors, x, y, oldSize, newSize) {
+    const deltaX = newSize[0] - oldSize[0];
+    const deltaY = newSize[1] - oldSize[1];
+    for (const lm of logicalMonitors) {
+        if (lm[0] >= x + oldSize[0]) lm[0] += deltaX;
+        if (lm[1] >= y + oldSize[1]) lm[1] += deltaY;
+    }
+}
+
+// Supported scale of `mode` closest to `scale`; `scale` itself when the
+// mode lists none.
+export function closestSupportedScale(mode, scale) {
+    const supported = mode[5] || [];
+    if (supported.length === 0) return scale;
+    return supported.reduce((best, sc) => Math.abs(sc - scale) < Math.abs(best - scale) ? sc : best);
+}
+
+// Largest scale both modes support, not above `preferred`; 1.0 otherwise.
+export function pickCommonScale(modeA, modeB, preferred) {
+    const scalesB = modeB[5] || [];
+    const common = (modeA[5] || []).filter(sa => scalesB.some(sb => Math.abs(sa - sb) < 0.001));
+    const candidates = common.filter(sc => sc <= preferred + 0.001).sort((a, b) => b - a);
+    return candidates.length > 0 ? candidates[0] : 1.0;
+}
+
+// Show the primary monitor's content on `connector` by putting both into
+// one logical monitor with a resolution they share.
+// Returns { logicalMonitors, error, primaryConnector, primaryModeId, secondaryModeId, scale }.
+export function buildMirrorLayout(state, connector) {
+    const primaryLm = state.logicalMonitors.find(lm => lm[4]) ?? state.logicalMonitors[0];
+    const primaryConn = primaryLm?.[5][0]?.[0];
+    if (!primaryConn || primaryConn === connector)
+        return { logicalMonitors: [], error: 'selected-monitor-is-primary' };
+
+    const primaryPhys = findPhysical(state, primaryConn);
+    const secondaryPhys = findPhysical(state, connector);
+    const common = primaryPhys && secondaryPhys
+        ? findCommonMirrorModes(primaryPhys, secondaryPhys) : null;
+    if (!common)
+        return { logicalMonitors: [], error: 'no-common-mode' };
+
+    const [primaryMode, secondaryMode] = common;
+    const scale = pickCommonScale(primaryMode, secondaryMode, primaryLm[2]);
+
+    const logicalMonitors = [];
+    const others = [];
+    for (const lm of state.logicalMonitors) {
+        if (lm === primaryLm) {
+            logicalMonitors.push([lm[0], lm[1], scale, lm[3], true, [
+                [primaryConn, primaryMode[0], {}],
+                [connector, secondaryMode[0], {}],
+            ], {}]);
+            continue;
+        }
+        const conn = lm[5][0]?.[0];
+        if (conn === connector) continue;
+        const modeId = resolveModeId(state, conn);
+        if (!modeId) continue;
+        const other = [lm[0], lm[1], lm[2], lm[3], false, [[conn, modeId, {}]], {}];
+        logicalMonitors.push(other);
+        others.push(other);
+    }
+
+    // Neighbours of the primary move with its new size so the layout stays adjacent.
+    const oldMode = primaryPhys[1].find(m => m[0] === currentModeId(state, primaryConn));
+    if (oldMode) {
+        shiftNeighbours(others, primaryLm[0], primaryLm[1],
+            logicalSize(oldMode, primaryLm[2], primaryLm[3], layoutModeOf(state)),
+            logicalSize(primaryMode, scale, primaryLm[3], layoutModeOf(state)));
+    }
+    fixPrimaryFlags(logicalMonitors);
+
+    return {
+        logicalMonitors,
+        error: null,
+        primaryConnector: primaryConn,
+        primaryModeId: primaryMode[0],
+        secondaryModeId: secondaryMode[0],
+        scale,
+    };
+}
+
+// Mutter transforms: 0-3 rotate counter-clockwise in 90° steps (monitors.xml
+// names them normal, left, upside-down, right); 4-7 are the same, flipped.
+// Next rotation for `transform`, keeping it flipped or not.
+export function nextRotation(transform) {
+    return (transform & 4) | ((transform + 1) % 4);
+}
+
+// Modes of a physical monitor grouped by resolution, largest first, with
+// each group's modes by refresh rate, highest first:
+// [{ width, height, modes }].
+export function groupModesByResolution(physMonitor) {
+    const groups = new Map();
+    for (const mode of physMonitor[1]) {
+        if (typeof mode[0] !== 'string') continue;
+        const key = `${mode[1]}x${mode[2]}`;
+        if (!groups.has(key)) groups.set(key, { width: mode[1], height: mode[2], modes: [] });
+        groups.get(key).modes.push(mode);
+    }
+    const sorted = [...groups.values()].sort((a, b) =>
+        b.width * b.height - a.width * a.height || b.width - a.width
+    );
+    for (const group of sorted) group.modes.sort((a, b) => b[3] - a[3]);
+    return sorted;
+}
+
+// Current layout with `connector` switched to another mode, scale and/or
+// transform; each one left null is kept. The scale snaps to one the mode
+// supports; monitors right of or below it stay adjacent.
+// Returns { logicalMonitors, error, modeId, scale, transform }.
+export function buildModeLayout(state, connector, { modeId = null, scale = null, transform = null } = {}) {
+    const targetLm = state.logicalMonitors.find(lm => lm[5].some(m => m[0] === connector));
+    if (!targetLm) return { logicalMonitors: [], error: 'monitor-not-active' };
+    if (targetLm[5].length > 1) return { logicalMonitors: [], error: 'monitor-is-mirrored' };
+
+    const phys = findPhysical(state, connector);
+    const oldMode = phys?.[1].find(m => m[0] === currentModeId(state, connector));
+    const newMode = phys?.[1].find(m => m[0] === (modeId ?? oldMode?.[0]));
+    if (!newMode) return { logicalMonitors: [], error: 'no-mode-for-monitor' };
+    const newScale = closestSupportedScale(newMode, scale ?? targetLm[2]);
+    const newTransform = transform ?? targetLm[3];
+
+    const logicalMonitors = [];
+    const others = [];
+    for (const lm of state.logicalMonitors) {
+        if (lm === targetLm) {
+            logicalMonitors.push([lm[0], lm[1], newScale, newTransform, lm[4], [[connector, newMode[0], {}]], {}]);
+            continue;
+        }
+        // Every member, so a mirrored pair elsewhere stays mirrored.
+        const monitors = lm[5]
+            .map(m => [m[0], currentModeId(state, m[0]) ?? resolveModeId(state, m[0]), {}])
+            .filter(m => m[1]);
+        if (monitors.length === 0) continue;
+        const other = [lm[0], lm[1], lm[2], lm[3], lm[4], monitors, {}];
+        logicalMonitors.push(other);
+        others.push(other);
+    }
+    if (oldMode) {
+        shiftNeighbours(others, targetLm[0], targetLm[1],
+            logicalSize(oldMode, targetLm[2], targetLm[3], layoutModeOf(state)),
+            logicalSize(newMode, newScale, newTransform, layoutModeOf(state)));
+    }
+    ensurePrimary(logicalMonitors);
+
+    return { logicalMonitors, error: null, modeId: newMode[0], scale: newScale, transform: newTransform };
+}
+
+// Current layout with the primary flag moved to `connector`. Mirrored
+// logical monitors keep all their monitors.
+export function buildPrimaryLayout(state, connector) {
+    return state.logicalMonitors.map(lm => {
+        const monitors = lm[5]
+            .map(m => [m[0], currentModeId(state, m[0]) ?? resolveModeId(state, m[0]), {}])
+            .filter(m => m[1]);
+        if (monitors.length === 0) return null;
+        const isTarget = lm[5].some(m => m[0] === connector);
+        return [lm[0], lm[1], lm[2], lm[3], isTarget, monitors, {}];
+    }).filter(lm => lm !== null);
+}
+
+// Everything Mutter would reject in a layout, as [{ problem, connectors }]:
+// 'no-monitors', 'no-primary', 'several-primaries', 'monitor-not-connected',
+// 'unsupported-mode' for a mode the monitor does not offer,
+// 'unsupported-scale' for a scale its mode does not support, and the
+// geometry problems of findGeometryProblems(). Empty when it looks valid.
+export function validateLayout(state, logicalMonitors) {
+    if (logicalMonitors.length === 0) return [{ problem: 'no-monitors', connectors: [] }];
+
+    const problems = [];
+    const primaries = logicalMonitors.filter(lm => lm[4]);
+    if (primaries.length === 0)
+        problems.push({ problem: 'no-primary', connectors: [] });
+    else if (primaries.length > 1)
+        problems.push({ problem: 'several-primaries', connectors: primaries.map(lm => lm[5][0]?.[0]) });
+
+    for (const lm of logicalMonitors) {
+        for (const [conn, modeId] of lm[5]) {
+            const phys = findPhysical(state, conn);
+            const mode = phys?.[1].find(m => m[0] === modeId);
+            if (!phys) {
+                problems.push({ problem: 'monitor-not-connected', connectors: [conn] });
+            } else if (!mode) {
+                problems.push({ problem: 'unsupported-mode', connectors: [conn] });
+            } else if ((mode[5] || []).length > 0 && !mode[5].some(sc => Math.abs(sc - lm[2]) < 0.001)) {
+                problems.push({ problem: 'unsupported-scale', connectors: [conn] });
+            }
+        }
+    }
+    return [...problems, ...findGeometryProblems(state, logicalMonitors)];
+}
+
+// Final ApplyMonitorsConfig arguments: [serial, method, logicalMonitors,
+// properties]. Properties are plain values; see packApplyProperties() in
+// dbusService.js for the D-Bus form.
+export function buildApplyArguments(state, method, logicalMonitors) {
+    const properties = {};
+    if (unpackProperty(state.properties?.['supports-changing-layout-mode'])) {
+        properties['layout-mode'] = layoutModeOf(state);
+    }
+    return [state.serial, method, normalizePositions(logicalMonitors), properties];
+}
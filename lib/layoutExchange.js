@@ -0,0 +1,155 @@
+// Export and import of layouts for sharing between machines: monitors.xml
+// compatible XML (one <configuration>) or the JSON form of
+// snapshotLogicalMonitors(). Shared by the D-Bus API and the command-line tool.
+//
+// Sources are 'current' (the live layout), 'snapshot' (the restore
+// snapshot) and 'profile' (a saved profile, by name). Imports go into the
+// snapshot or a named profile.
+
+import {
+    buildConfigurationLayout,
+    buildCurrentLayout,
+    buildSnapshotLayout,
+    ensurePrimary,
+    layoutModeOf,
+} from './layout.js';
+import { snapshotLogicalMonitors } from './logger.js';
+import {
+    buildProfileLayout,
+    captureProfile,
+    readProfiles,
+    upsertProfile,
+    writeProfiles,
+} from './profiles.js';
+import { hardwareKey, pinSnapshot, snapshotFromLayout, writeSnapshot } from './snapshot.js';
+import { findConfigurationForMonitors, parseMonitorsXml } from './xmlReader.js';
+import { serializeMonitorsXml } from './xmlWriter.js';
+
+export const EXPORT_SOURCES = ['current', 'snapshot', 'profile'];
+export const EXPORT_FORMATS = ['xml', 'json'];
+export const IMPORT_TARGETS = ['snapshot', 'profile'];
+
+function specFromIdentity(connector, identity) {
+    const [vendor = '', product = '', serial = ''] = identity ? identity.split('|') : [];
+    return { connector, vendor, product, serial };
+}
+
+function specFromMonitor(phys) {
+    const [connector, vendor, product, serial] = phys[0];
+    return { connector, vendor, product, serial };
+}
+
+function findProfile(settings, name) {
+    const profile = readProfiles(settings).find(p => p.name === name);
+    if (!profile) throw new Error(`Unknown profile: ${name}`);
+    return profile;
+}
+
+// ApplyMonitorsConfig-form layout of a source on the connected hardware.
+export function layoutForSource(state, settings, source, name = '') {
+    switch (source) {
+    case 'current':
+        return buildCurrentLayout(state);
+    case 'snapshot': {
+        const logicalMonitors = buildSnapshotLayout(state);
+        if (logicalMonitors.length === 0) throw new Error('No restore snapshot for the connected monitors');
+        ensurePrimary(logicalMonitors);
+        return logicalMonitors;
+    }
+    case 'profile':
+        return buildProfileLayout(findProfile(settings, name), state.monitors).logicalMonitors;
+    default:
+        throw new Error(`Unknown layout source: ${source}`);
+    }
+}
+
+// monitors.xml configuration for a layout on the connected hardware.
+// Connected monitors left out of the layout are listed as disabled.
+export function configurationFromLayout(state, logicalMonitors) {
+    const used = new Set(logicalMonitors.flatMap(lm => lm[5].map(m => m[0])));
+    return {
+        layoutMode: layoutModeOf(state),
+        logicalMonitors: logicalMonitors.map(lm => ({
+            x: lm[0],
+            y: lm[1],
+            scale: lm[2],
+            transform: lm[3],
+            primary: !!lm[4],
+            monitors: lm[5].map(([connector, modeId]) => {
+                const phys = state.monitors.find(p => p[0][0] === connector);
+                const mode = phys?.[1].find(m => m[0] === modeId);
+                return {
+                    spec: phys ? specFromMonitor(phys) : specFromIdentity(connector, null),
+                    mode: mode ? { width: mode[1], height: mode[2], rate: mode[3], interlaced: false } : null,
+                };
+            }),
+        })),
+        disabled: state.monitors.filter(p => !used.has(p[0][0])).map(specFromMonitor),
+    };
+}
+
+// monitors.xml configuration for a saved profile; needs no connected
+// hardware, so profiles of other machines export completely.
+export function configurationFromProfile(profile, layoutMode = 1) {
+    return {
+        layoutMode,
+        logicalMonitors: (profile.logicalMonitors || []).map(lm => ({
+            x: lm.x,
+            y: lm.y,
+            scale: lm.scale,
+            transform: lm.transform,
+            primary: !!lm.primary,
+            monitors: (lm.monitors || []).map(m => ({
+                spec: specFromIdentity(m.connector, m.identity),
+                mode: m.width && m.height
+                    ? { width: m.width, height: m.height, rate: m.refreshRate, interlaced: false }
+                    : null,
+            })),
+        })),
+        disabled: [],
+    };
+}
+
+// Export a source as 'xml' (monitors.xml) or 'json' (snapshotLogicalMonitors).
+export function exportLayout(state, settings, source, name = '', format = 'xml') {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+    if (format === 'json')
+        return JSON.stringify(snapshotLogicalMonitors(layoutForSource(state, settings, source, name)), null, 2);
+
+    const configuration = source === 'profile'
+        ? configurationFromProfile(findProfile(settings, name), layoutModeOf(state))
+        : configurationFromLayout(state, layoutForSource(state, settings, source, name));
+    return serializeMonitorsXml([configuration]);
+}
+
+// Import monitors.xml text into the snapshot or the profile `name`. The
+// configuration for the connected monitors is used when the file has one,
+// otherwise the first. Returns { logicalMonitors, unmatchedMonitors,
+// unmatchedModes }; unmatched entries are left out of what is stored.
+export function importLayout(state, settings, target, name, text) {
+    if (!IMPORT_TARGETS.includes(target)) throw new Error(`Unknown import target: ${target}`);
+    if (target === 'profile' && !name) throw new Error('A profile name is required');
+
+    const { configurations } = parseMonitorsXml(text);
+    const configuration = findConfigurationForMonitors(configurations, state.monitors) ?? configurations[0];
+    if (!configuration) throw new Error('The file contains no configuration');
+
+    const { logicalMonitors, missing, missingModes } = buildConfigurationLayout(state, configuration);
+    if (logicalMonitors.length === 0)
+        throw new Error('None of the monitors in the file are connected');
+    ensurePrimary(logicalMonitors);
+
+    if (target === 'snapshot') {
+        if (logicalMonitors.some(lm => lm[5].length > 1))
+            throw new Error('Mirrored layouts cannot be stored as the restore snapshot');
+        // Pinned, so the layout on screen now doesn't replace it at once.
+        const hardware = hardwareKey(state.monitors);
+        writeSnapshot(settings, hardware, snapshotFromLayout(state.monitors, logicalMonitors));
+        pinSnapshot(settings, hardware);
+    } else {
+        const profile = captureProfile(name, state.monitors, logicalMonitors);
+        writeProfiles(settings, upsertProfile(readProfiles(settings), profile));
+    }
+
+    return { logicalMonitors, unmatchedMonitors: missing, unmatchedModes: missingModes };
+}
@@ -1,6 +1,10 @@
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import St from 'gi://St';
 
+import { readProfiles } from './profiles.js';
+import { logError } from './logger.js';
+import { currentModeId, groupModesByResolution } from './layout.js';
+
 // Helper to get current persistence mode label, used internally by buildMonitorMenu and updatePersistenceModeSelectionInMenu
 function getCurrentPersistenceModeLabel(toggle) {
     if (toggle._persistenceMode === 1) return _("Temporary");
@@ -8,9 +12,15 @@ function getCurrentPersistenceModeLabel(toggle) {
     return _("Unknown");
 }
 
+function getGroupCheckIconName(toggle, connector) {
+    return toggle._monitorGroup.includes(connector) ? 'checkbox-checked-symbolic' : 'checkbox-symbolic';
+}
+
 export function buildMonitorMenu(toggle) {
     toggle.menu.removeAll();
 
+    buildRecoveryItem(toggle);
+
     const menuTitle = new PopupMenu.PopupMenuItem(_("Select a monitor"), {
         reactive: false,
         style_class: 'selectLabel',
@@ -50,7 +60,8 @@ export function buildMonitorMenu(toggle) {
 
         let infoBox = new St.BoxLayout({
             vertical: true,
-            style_class: 'monitor-info-box'
+            style_class: 'monitor-info-box',
+            x_expand: true,
         });
         box.add_child(infoBox);
 
@@ -61,18 +72,11 @@ export function buildMonitorMenu(toggle) {
         infoBox.add_child(label);
 
         if (monitor[1] && monitor[1].length > 0) {
-            let currentModeId = null;
-            for (const lm of toggle._logicalMonitors) {
-                const monInLm = lm[5].find(m => m[0] === connector);
-                if (monInLm) {
-                    currentModeId = monInLm[1];
-                    break;
-                }
-            }
+            const activeModeId = isMonitorActive ? currentModeId(toggle._layoutState(), connector) : null;
 
             let modeInfo = '';
-            if (currentModeId) {
-                const mode = monitor[1].find(m => m[0] === currentModeId);
+            if (activeModeId) {
+                const mode = monitor[1].find(m => m[0] === activeModeId);
                 if (mode) {
                     const width = mode[1];
                     const height = mode[2];
@@ -97,19 +101,81 @@ export function buildMonitorMenu(toggle) {
             }
         }
 
+        // Secondary action: keep only this monitor on.
+        let soloButton = new St.Button({
+            child: new St.Icon({ icon_name: 'video-single-display-symbolic', icon_size: 14 }),
+            style_class: 'monitor-solo-button',
+            accessible_name: _("Only this monitor"),
+            can_focus: true,
+        });
+        soloButton.connect('clicked', () => {
+            toggle.menu.close();
+            toggle._soloMonitor(connector).catch(e =>
+                logError('menu.solo.unhandled_error', {
+                    connector,
+                    error: `${e}`,
+                })
+            );
+        });
+        box.add_child(soloButton);
+
+        // Check box to include this monitor when toggling several at once.
+        let groupCheckIcon = new St.Icon({
+            icon_name: getGroupCheckIconName(toggle, connector),
+            icon_size: 14,
+        });
+        let groupCheckButton = new St.Button({
+            child: groupCheckIcon,
+            style_class: 'monitor-group-check',
+            accessible_name: _("Control with the quick toggle"),
+            can_focus: true,
+        });
+        groupCheckButton.connect('clicked', () => {
+            toggle._setMonitorGroupMember(connector, !toggle._monitorGroup.includes(connector));
+        });
+        box.add_child(groupCheckButton);
+
         item._monitorConnector = connector;
         item._selectionDot = selectionDot;
+        item._groupCheckIcon = groupCheckIcon;
 
-        item.connect('activate', async () => {
-            toggle._monitor = connector;
-            toggle._writeSavedMonitorSetting(toggle._monitor);
-            await toggle._getMonitorConfig();
+        item.connect('activate', () => {
+            toggle._selectMonitor(connector).catch(e =>
+                logError('menu.select.unhandled_error', {
+                    connector,
+                    error: `${e}`,
+                })
+            );
         });
         toggle.menu.addMenuItem(item);
     }
 
+    if (toggle._monitors.length > 1) {
+        const mirrorItem = new PopupMenu.PopupMenuItem(_("Mirror Selected Monitor With Primary"));
+        mirrorItem.connect('activate', () => {
+            toggle._mirrorMonitor(toggle._monitor).catch(e =>
+                logError('menu.mirror.unhandled_error', {
+                    connector: toggle._monitor,
+                    error: `${e}`,
+                })
+            );
+        });
+        toggle.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        toggle.menu.addMenuItem(mirrorItem);
+    }
+
     toggle.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
+    buildHistoryItems(toggle);
+    buildPrimarySubMenu(toggle);
+
+    for (const monitor of toggle._monitors) {
+        if (toggle._isConnectorActive(monitor[0][0]))
+            buildDisplaySettingsSubMenu(toggle, monitor);
+    }
+
+    buildProfilesSubMenu(toggle);
+
     toggle._configModeSubMenu = new PopupMenu.PopupSubMenuMenuItem(_("Configuration Mode: ") + getCurrentPersistenceModeLabel(toggle));
     toggle.menu.addMenuItem(toggle._configModeSubMenu);
 
@@ -162,6 +228,210 @@ export function buildMonitorMenu(toggle) {
     updatePersistenceModeSelectionInMenu(toggle);
 }
 
+// Labels indexed by Mutter transform.
+function getRotationLabels() {
+    return [
+        _("Normal"),
+        _("Left"),
+        _("Upside Down"),
+        _("Right"),
+        _("Flipped"),
+        _("Flipped Left"),
+        _("Flipped Upside Down"),
+        _("Flipped Right"),
+    ];
+}
+
+export function getRotationLabel(transform) {
+    return getRotationLabels()[transform] ?? _("Unknown");
+}
+
+function formatScale(scale) {
+    return `${Math.round(scale * 100)}%`;
+}
+
+function addSettingsChoice(subMenu, label, selected, action, errorEvent, details) {
+    const item = new PopupMenu.PopupMenuItem(label);
+    item.setOrnament(selected ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+    item.connect('activate', () => {
+        if (selected) return;
+        action().catch(e =>
+            logError(errorEvent, {
+                ...details,
+                error: `${e}`,
+            })
+        );
+    });
+    subMenu.menu.addMenuItem(item);
+}
+
+function addModeChoice(toggle, subMenu, label, selected, connector, modeId, scale) {
+    addSettingsChoice(subMenu, label, selected,
+        () => toggle._setMonitorMode(connector, modeId, scale),
+        'menu.set_mode.unhandled_error', { connector, modeId, scale });
+}
+
+// Resolution, refresh rate, scale and rotation choices for one active monitor.
+function buildDisplaySettingsSubMenu(toggle, monitor) {
+    const connector = monitor[0][0];
+    const modeId = currentModeId(toggle._layoutState(), connector);
+    const currentMode = monitor[1].find(m => m[0] === modeId);
+    const logicalMonitor = toggle._logicalMonitors.find(lm => lm[5].some(m => m[0] === connector));
+    if (!currentMode || !logicalMonitor) return;
+    const scale = logicalMonitor[2];
+
+    const subMenu = new PopupMenu.PopupSubMenuMenuItem(
+        _("Display Settings: %s").format(toggle._getMonitorDisplayName(connector, 'short')));
+    toggle.menu.addMenuItem(subMenu);
+
+    subMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_("Resolution")));
+    const groups = groupModesByResolution(monitor);
+    for (const group of groups) {
+        const selected = group.width === currentMode[1] && group.height === currentMode[2];
+        // Keep the refresh rate as close as possible when changing resolution.
+        const mode = group.modes.reduce((best, m) =>
+            Math.abs(m[3] - currentMode[3]) < Math.abs(best[3] - currentMode[3]) ? m : best);
+        addModeChoice(toggle, subMenu, `${group.width}×${group.height}`, selected, connector, mode[0], null);
+    }
+
+    const currentGroup = groups.find(g => g.width === currentMode[1] && g.height === currentMode[2]);
+    if (currentGroup && currentGroup.modes.length > 1) {
+        subMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_("Refresh Rate")));
+        for (const mode of currentGroup.modes) {
+            addModeChoice(toggle, subMenu, _("%s Hz").format(mode[3].toFixed(2)),
+                mode[0] === currentMode[0], connector, mode[0], null);
+        }
+    }
+
+    const scales = currentMode[5] || [];
+    if (scales.length > 1) {
+        subMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_("Scale")));
+        for (const sc of scales) {
+            addModeChoice(toggle, subMenu, formatScale(sc),
+                Math.abs(sc - scale) < 0.001, connector, null, sc);
+        }
+    }
+
+    subMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_("Rotation")));
+    getRotationLabels().forEach((label, transform) => {
+        addSettingsChoice(subMenu, label, transform === logicalMonitor[3],
+            () => toggle._rotateMonitor(connector, transform),
+            'menu.rotate.unhandled_error', { connector, transform });
+    });
+}
+
+// "Primary Display": one entry per active logical monitor, the primary
+// marked. Mirrored monitors share an entry.
+function buildPrimarySubMenu(toggle) {
+    const activeLogicalMonitors = toggle._logicalMonitors.filter(lm => lm[5].length > 0);
+    if (activeLogicalMonitors.length < 2) return;
+
+    const subMenu = new PopupMenu.PopupSubMenuMenuItem(_("Primary Display"));
+    toggle.menu.addMenuItem(subMenu);
+
+    for (const lm of activeLogicalMonitors) {
+        const connector = lm[5][0][0];
+        const label = lm[5].map(m => toggle._getMonitorDisplayName(m[0], 'short')).join(' + ');
+        const item = new PopupMenu.PopupMenuItem(label);
+        item.setOrnament(lm[4] ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+        item.connect('activate', () => {
+            if (lm[4]) return;
+            toggle._makePrimary(connector).catch(e =>
+                logError('menu.make_primary.unhandled_error', { connector, error: `${e}` })
+            );
+        });
+        subMenu.menu.addMenuItem(item);
+    }
+}
+
+// "Retry Now" while the display configuration can't be read or applied;
+// hidden the rest of the time.
+function buildRecoveryItem(toggle) {
+    toggle._retryMenuItem = new PopupMenu.PopupMenuItem(_("Displays Unavailable — Retry Now"));
+    toggle._retryMenuItem.connect('activate', () => {
+        toggle._recover('menu').catch(e =>
+            logError('menu.retry.unhandled_error', { error: `${e}` })
+        );
+    });
+    toggle.menu.addMenuItem(toggle._retryMenuItem);
+    updateRecoveryStateInMenu(toggle);
+}
+
+// Undo and redo of the last display changes; insensitive when there is
+// nothing to step to.
+function buildHistoryItems(toggle) {
+    toggle._undoMenuItem = new PopupMenu.PopupMenuItem(_("Undo Last Display Change"));
+    toggle._undoMenuItem.connect('activate', () => {
+        toggle._undoDisplayChange().catch(e =>
+            logError('menu.undo.unhandled_error', { error: `${e}` })
+        );
+    });
+    toggle.menu.addMenuItem(toggle._undoMenuItem);
+
+    toggle._redoMenuItem = new PopupMenu.PopupMenuItem(_("Redo"));
+    toggle._redoMenuItem.connect('activate', () => {
+        toggle._redoDisplayChange().catch(e =>
+            logError('menu.redo.unhandled_error', { error: `${e}` })
+        );
+    });
+    toggle.menu.addMenuItem(toggle._redoMenuItem);
+
+    updateHistoryItemsInMenu(toggle);
+}
+
+// Saved layout profiles: one entry per profile plus a "save current" action.
+function buildProfilesSubMenu(toggle) {
+    const profiles = readProfiles(toggle._settings);
+    const subMenu = new PopupMenu.PopupSubMenuMenuItem(_("Layout Profiles"));
+    toggle.menu.addMenuItem(subMenu);
+
+    for (const profile of profiles) {
+        const item = new PopupMenu.PopupMenuItem('');
+        item.add_style_class_name('monitor-item-entry');
+
+        const box = new St.BoxLayout({ style_class: 'monitor-item-box', x_expand: true });
+        item.add_child(box);
+
+        const infoBox = new St.BoxLayout({ vertical: true, style_class: 'monitor-info-box', x_expand: true });
+        box.add_child(infoBox);
+        infoBox.add_child(new St.Label({ text: profile.name, style_class: 'monitor-item-label' }));
+
+        const connectors = (profile.logicalMonitors || [])
+            .flatMap(lm => (lm.monitors || []).map(m => m.connector));
+        infoBox.add_child(new St.Label({ text: connectors.join(', '), style_class: 'monitor-resolution-label' }));
+
+        const deleteButton = new St.Button({
+            child: new St.Icon({ icon_name: 'edit-delete-symbolic', icon_size: 14 }),
+            style_class: 'profile-delete-button',
+            accessible_name: _("Delete profile %s").format(profile.name),
+            can_focus: true,
+        });
+        deleteButton.connect('clicked', () => {
+            toggle._deleteProfile(profile.name);
+        });
+        box.add_child(deleteButton);
+
+        item.connect('activate', () => {
+            toggle._applyProfile(profile.name).catch(e =>
+                logError('menu.profile.apply.unhandled_error', {
+                    name: profile.name,
+                    error: `${e}`,
+                })
+            );
+        });
+        subMenu.menu.addMenuItem(item);
+    }
+
+    if (profiles.length > 0)
+        subMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+    const saveItem = new PopupMenu.PopupMenuItem(_("Save Current Layout…"));
+    saveItem.connect('activate', () => {
+        toggle._showSaveProfileDialog();
+    });
+    subMenu.menu.addMenuItem(saveItem);
+}
+
 export function updatePersistenceModeSelectionInMenu(toggle) {
     if (toggle._tempModeMenuItem && toggle._tempModeMenuItem._selectionDot) {
         toggle._tempModeMenuItem._selectionDot.opacity = (toggle._persistenceMode === 1) ? 255 : 0;
@@ -174,9 +444,22 @@ export function updatePersistenceModeSelectionInMenu(toggle) {
     }
 }
 
+export function updateHistoryItemsInMenu(toggle) {
+    toggle._undoMenuItem?.setSensitive(toggle._history.undo.length > 0);
+    toggle._redoMenuItem?.setSensitive(toggle._history.redo.length > 0);
+}
+
+export function updateRecoveryStateInMenu(toggle) {
+    if (toggle._retryMenuItem) toggle._retryMenuItem.visible = !!toggle._unavailableReason;
+    updateSelectedMonitorInMenu(toggle);
+}
+
 export function updateSelectedMonitorInMenu(toggle) {
     for (const item of toggle.menu._getMenuItems()) {
         if (item._monitorConnector) {
+            if (item._groupCheckIcon) {
+                item._groupCheckIcon.icon_name = getGroupCheckIconName(toggle, item._monitorConnector);
+            }
             if (item._monitorConnector === toggle._monitor) {
                 item.add_style_class_name('selected-monitor-entry');
                 if (item._selectionDot) {
@@ -190,11 +473,15 @@ export function updateSelectedMonitorInMenu(toggle) {
             }
         }
     }
-    if (toggle._monitor) {
+    if (toggle._unavailableReason) {
+        toggle.subtitle = _('Retry');
+    } else if (toggle._monitorGroup.length > 1) {
+        toggle.subtitle = _('%d monitors').format(toggle._monitorGroup.length);
+    } else if (toggle._monitorGroup.length === 1) {
+        toggle.subtitle = toggle._getMonitorDisplayName(toggle._monitorGroup[0], 'short');
+    } else if (toggle._monitor) {
         toggle.subtitle = toggle._getMonitorDisplayName(toggle._monitor, 'short');
-    } else if (toggle.sensitive) {
-        toggle.subtitle = _('No monitor selected');
     } else {
-        toggle.subtitle = _('Unavailable');
+        toggle.subtitle = _('No monitor selected');
     }
 } 
@@ -0,0 +1,53 @@
+// Monitors are identified by their EDID data — the (connector, vendor, product,
+// serial) tuple from GetCurrentState — because docks renumber connectors.
+// The connector name is only used as a fallback.
+
+const SEPARATOR = '|';
+
+export function identityFromSpec(vendor, product, serial) {
+    if (!vendor && !product && !serial) return null;
+    return [vendor || '', product || '', serial || ''].join(SEPARATOR);
+}
+
+// Identity string for a physical monitor from GetCurrentState, or null when
+// the monitor reports no EDID data.
+export function monitorIdentity(monitor) {
+    const [, vendor, product, serial] = monitor[0];
+    return identityFromSpec(vendor, product, serial);
+}
+
+// Serialized reference stored in settings: "vendor|product|serial|connector".
+export function encodeMonitorRef(monitor) {
+    const identity = monitorIdentity(monitor);
+    const connector = monitor[0][0];
+    return identity ? `${identity}${SEPARATOR}${connector}` : connector;
+}
+
+// Parse a stored reference. Legacy values are plain connector names.
+export function parseMonitorRef(value) {
+    if (!value) return { identity: null, connector: '' };
+    const parts = value.split(SEPARATOR);
+    if (parts.length !== 4) return { identity: null, connector: value };
+    return {
+        identity: parts.slice(0, 3).join(SEPARATOR),
+        connector: parts[3],
+    };
+}
+
+// Find the physical monitor for a { identity, connector } reference. Identity
+// wins; the connector breaks ties between identical monitors without serials
+// and is used alone when either side has no identity. A connector now used by
+// a different identified monitor is not a match.
+export function findMonitorByRef(monitors, ref) {
+    if (!ref) return undefined;
+    if (ref.identity) {
+        const matches = monitors.filter(m => monitorIdentity(m) === ref.identity);
+        if (matches.length === 1) return matches[0];
+        if (matches.length > 1)
+            return matches.find(m => m[0][0] === ref.connector) ?? matches[0];
+    }
+    if (!ref.connector) return undefined;
+    const byConnector = monitors.find(m => m[0][0] === ref.connector);
+    if (byConnector && ref.identity && monitorIdentity(byConnector)) return undefined;
+    return byConnector;
+}
@@ -0,0 +1,114 @@
+import Gio from 'gi://Gio';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import { PACKAGE_VERSION } from 'resource:///org/gnome/shell/misc/config.js';
+
+// User-facing feedback on display changes: an OSD when one succeeds, a
+// notification with a Retry action when it fails. The 'feedback-level'
+// setting decides what is shown:
+//   all     OSD for changes and notifications for failures
+//   errors  notifications for failures only
+//   none    nothing besides the journal
+
+export const FEEDBACK_LEVELS = ['all', 'errors', 'none'];
+
+// GNOME 46 moved MessageTray sources and notifications to property constructors.
+const SHELL_MAJOR = parseInt(PACKAGE_VERSION, 10);
+
+let _source = null;
+let _errorNotification = null;
+
+export function readFeedbackLevel(settings) {
+    const level = settings?.get_string('feedback-level');
+    return FEEDBACK_LEVELS.includes(level) ? level : 'all';
+}
+
+export function showMonitorOsd(iconName, label) {
+    const icon = Gio.ThemedIcon.new(iconName);
+    // GNOME 49 replaced show(monitorIndex, ...) with showAll()/showOne().
+    if (Main.osdWindowManager.showAll)
+        Main.osdWindowManager.showAll(icon, label, null, null);
+    else
+        Main.osdWindowManager.show(-1, icon, label, null, null);
+}
+
+function getSource() {
+    if (_source) return _source;
+    const title = _('Dual Monitor Toggle');
+    const iconName = 'video-display-symbolic';
+    _source = SHELL_MAJOR >= 46
+        ? new MessageTray.Source({ title, iconName })
+        : new MessageTray.Source(title, iconName);
+    _source.connect('destroy', () => {
+        _source = null;
+        _errorNotification = null;
+    });
+    Main.messageTray.add(_source);
+    return _source;
+}
+
+// Failure notification; `retry` adds a Retry action. A new failure replaces
+// the previous one, so repeated errors do not pile up in the tray.
+export function notifyDisplayError(title, body, retry = null) {
+    _errorNotification?.destroy();
+    const source = getSource();
+    const notification = SHELL_MAJOR >= 46
+        ? new MessageTray.Notification({ source, title, body })
+        : new MessageTray.Notification(source, title, body);
+    if (retry) notification.addAction(_('Retry'), retry);
+    notification.connect('destroy', () => {
+        if (_errorNotification === notification) _errorNotification = null;
+    });
+    _errorNotification = notification;
+    if (SHELL_MAJOR >= 46)
+        source.addNotification(notification);
+    else
+        source.showNotification(notification);
+}
+
+// Drop the failure notification once the display configuration works again.
+export function withdrawDisplayError() {
+    _errorNotification?.destroy();
+}
+
+export function destroyNotifications() {
+    _source?.destroy();
+    _source = null;
+    _errorNotification = null;
+}
+
+// Sentence for one validateLayout() problem. `displayName(connector)` gives
+// the name a monitor is shown with in the menu.
+export function describeLayoutProblem({ problem, connectors }, displayName) {
+    const names = connectors.map(displayName).join(_(' and '));
+    switch (problem) {
+    case 'no-monitors':
+        return _('Every monitor would be turned off.');
+    case 'no-primary':
+        return _('No monitor would be the primary display.');
+    case 'several-primaries':
+        return _('%s would all be primary displays.').format(names);
+    case 'monitor-not-connected':
+        return _('%s is not connected.').format(names);
+    case 'no-mode':
+        return _('%s offers no display mode to turn it on with.').format(names);
+    case 'unsupported-mode':
+        return _('%s does not support the chosen resolution and refresh rate.').format(names);
+    case 'unsupported-scale':
+        return _('%s does not support the chosen scale.').format(names);
+    case 'overlap':
+        return _('%s would overlap.').format(names);
+    case 'not-adjacent':
+        return _('%s would not touch any other monitor.').format(names);
+    default:
+        return problem;
+    }
+}
+
+// Tell the user why a layout was not applied: the validateLayout() problems
+// found before applying, or the reason Mutter gave for rejecting it.
+export function notifyLayoutRejected(problems, displayName, reason = null, retry = null) {
+    const lines = problems.map(p => describeLayoutProblem(p, displayName));
+    if (reason) lines.push(_('The display server refused it: %s').format(reason));
+    notifyDisplayError(_('Display layout not applied'), lines.join('\n'), retry);
+}
@@ -0,0 +1,31 @@
+// Placement policy for monitors turned on without a restore snapshot, and
+// without a monitors.xml configuration for the exact set of connected
+// monitors. Stored in three keys:
+//   placement-side       auto | right | left | above | below
+//   placement-anchor     monitor reference ("vendor|product|serial|connector");
+//                        empty places next to the whole layout
+//   placement-alignment  start | center | end, along the shared edge
+// 'auto' keeps the offset monitors.xml saved between the monitor and one
+// that is on now, so it lands where it physically is, and falls back to
+// the right of the layout.
+
+import { findMonitorByRef, parseMonitorRef } from './monitorIdentity.js';
+
+export const PLACEMENT_SIDES = ['auto', 'right', 'left', 'above', 'below'];
+export const PLACEMENT_ALIGNMENTS = ['start', 'center', 'end'];
+
+export const DEFAULT_PLACEMENT = { side: 'auto', anchor: null, alignment: 'start' };
+
+// Policy { side, anchor, alignment } for computeToggleLayout(). `anchor` is
+// the anchor monitor's connector, or null when unset or not connected.
+export function readPlacementPolicy(settings, monitors) {
+    if (!settings) return { ...DEFAULT_PLACEMENT };
+    const side = settings.get_string('placement-side');
+    const alignment = settings.get_string('placement-alignment');
+    const anchor = findMonitorByRef(monitors, parseMonitorRef(settings.get_string('placement-anchor')));
+    return {
+        side: PLACEMENT_SIDES.includes(side) ? side : DEFAULT_PLACEMENT.side,
+        anchor: anchor ? anchor[0][0] : null,
+        alignment: PLACEMENT_ALIGNMENTS.includes(alignment) ? alignment : DEFAULT_PLACEMENT.alignment,
+    };
+}
@@ -0,0 +1,113 @@
+import { logError } from './logger.js';
+import { findMonitorByRef, monitorIdentity } from './monitorIdentity.js';
+
+const PROFILES_KEY = 'layout-profiles';
+
+// Find a mode in a physical monitor's mode list: exact ID first, then the
+// same resolution with the closest refresh rate.
+function findMatchingMode(physMonitor, saved) {
+    const modes = physMonitor[1].filter(m => typeof m[0] === 'string');
+    const exact = modes.find(m => m[0] === saved.modeId);
+    if (exact) return exact;
+
+    let best = null;
+    for (const mode of modes) {
+        if (mode[1] !== saved.width || mode[2] !== saved.height) continue;
+        if (!best || Math.abs(mode[3] - saved.refreshRate) < Math.abs(best[3] - saved.refreshRate))
+            best = mode;
+    }
+    return best;
+}
+
+export function readProfiles(settings) {
+    if (!settings) return [];
+    try {
+        const parsed = JSON.parse(settings.get_string(PROFILES_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(p => p && typeof p.name === 'string') : [];
+    } catch (e) {
+        logError('profiles.read_error', { error: `${e}` });
+        return [];
+    }
+}
+
+export function writeProfiles(settings, profiles) {
+    if (!settings) return;
+    try {
+        settings.set_string(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (e) {
+        logError('profiles.write_error', { error: `${e}` });
+    }
+}
+
+// Capture the full logical layout (positions, scale, transform, primary, modes)
+// from ApplyMonitorsConfig-form logical monitors, such as buildCurrentLayout()
+// returns; GetCurrentState ones carry no mode IDs.
+export function captureProfile(name, monitors, logicalMonitors) {
+    return {
+        name,
+        logicalMonitors: logicalMonitors.map(lm => ({
+            x: lm[0],
+            y: lm[1],
+            scale: lm[2],
+            transform: lm[3],
+            primary: !!lm[4],
+            monitors: lm[5].map(m => {
+                const phys = monitors.find(p => p[0][0] === m[0]);
+                const mode = phys?.[1].find(md => md[0] === m[1]);
+                return {
+                    connector: m[0],
+                    identity: phys ? monitorIdentity(phys) : null,
+                    modeId: m[1],
+                    width: mode ? mode[1] : 0,
+                    height: mode ? mode[2] : 0,
+                    refreshRate: mode ? mode[3] : 0,
+                };
+            }),
+        })),
+    };
+}
+
+// Replace the profile with the same name, or append a new one.
+export function upsertProfile(profiles, profile) {
+    const index = profiles.findIndex(p => p.name === profile.name);
+    if (index === -1)
+        return [...profiles, profile];
+    const updated = [...profiles];
+    updated[index] = profile;
+    return updated;
+}
+
+export function removeProfile(profiles, name) {
+    return profiles.filter(p => p.name !== name);
+}
+
+// Turn a saved profile into ApplyMonitorsConfig logical monitors for the
+// currently connected hardware. Connectors or modes that can't be matched
+// are reported in `missing` and left out of the layout.
+export function buildProfileLayout(profile, monitors) {
+    const logicalMonitors = [];
+    const missing = [];
+
+    for (const savedLm of profile.logicalMonitors || []) {
+        const assigned = [];
+        for (const saved of savedLm.monitors || []) {
+            const phys = findMonitorByRef(monitors, {
+                identity: saved.identity ?? null,
+                connector: saved.connector,
+            });
+            const mode = phys ? findMatchingMode(phys, saved) : null;
+            if (!mode) {
+                missing.push(saved.connector);
+                continue;
+            }
+            assigned.push([phys[0][0], mode[0], {}]);
+        }
+        if (assigned.length === 0) continue;
+        logicalMonitors.push([
+            savedLm.x, savedLm.y, savedLm.scale, savedLm.transform, !!savedLm.primary,
+            assigned, {},
+        ]);
+    }
+
+    return { logicalMonitors, missing };
+}
@@ -0,0 +1,114 @@
+// Automation rules: pure evaluation, no GNOME Shell or D-Bus dependencies.
+//
+// A rule is stored as JSON in the 'automation-rules' key:
+//   {
+//     "trigger": "lid-closed" | "lid-opened" | "monitor-connected" |
+//                "monitor-disconnected" | "time",
+//     "monitor": "HDMI-1",          // monitor-* triggers; empty matches any
+//     "time": "22:30",              // time trigger, local HH:MM
+//     "action": "enable" | "disable",
+//     "target": "DP-2",             // empty = the quick toggle's monitors
+//     "enabled": true
+//   }
+// Monitors may be given as a connector name or an EDID identity
+// ("vendor|product|serial").
+//
+// A state is { monitors: [{ connector, identity }], lidClosed, minutes },
+// where lidClosed is null when unknown and minutes counts from local midnight.
+
+export const RULE_TRIGGERS = [
+    'lid-closed',
+    'lid-opened',
+    'monitor-connected',
+    'monitor-disconnected',
+    'time',
+];
+
+export const RULE_ACTIONS = ['enable', 'disable'];
+
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+export function parseTime(value) {
+    const match = TIME_RE.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+export function isValidRule(rule) {
+    if (!rule || typeof rule !== 'object') return false;
+    if (!RULE_TRIGGERS.includes(rule.trigger)) return false;
+    if (!RULE_ACTIONS.includes(rule.action)) return false;
+    if (rule.trigger === 'time' && parseTime(rule.time) === null) return false;
+    return true;
+}
+
+// Parse the stored JSON, silently dropping malformed rules.
+export function parseRules(json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json || '[]');
+    } catch (_e) {
+        return [];
+    }
+    return Array.isArray(parsed) ? parsed.filter(isValidRule) : [];
+}
+
+export function monitorMatches(value, monitor) {
+    return value === monitor.connector || (!!monitor.identity && value === monitor.identity);
+}
+
+function _connectedMatching(state, value) {
+    return state.monitors.filter(m => !value || monitorMatches(value, m));
+}
+
+function _keyOf(monitor) {
+    return monitor.identity || monitor.connector;
+}
+
+function _added(previous, current, value) {
+    const before = new Set(_connectedMatching(previous, value).map(_keyOf));
+    return _connectedMatching(current, value).some(m => !before.has(_keyOf(m)));
+}
+
+// Did the clock pass `target` minutes between the two states? Handles midnight.
+function _timeReached(previousMinutes, currentMinutes, target) {
+    if (previousMinutes === currentMinutes) return false;
+    if (previousMinutes < currentMinutes)
+        return target > previousMinutes && target <= currentMinutes;
+    return target > previousMinutes || target <= currentMinutes;
+}
+
+function _triggered(rule, previous, current) {
+    switch (rule.trigger) {
+    case 'lid-closed':
+        return previous.lidClosed === false && current.lidClosed === true;
+    case 'lid-opened':
+        return previous.lidClosed === true && current.lidClosed === false;
+    case 'monitor-connected':
+        return _added(previous, current, rule.monitor);
+    case 'monitor-disconnected':
+        return _added(current, previous, rule.monitor);
+    case 'time':
+        return _timeReached(previous.minutes, current.minutes, parseTime(rule.time));
+    default:
+        return false;
+    }
+}
+
+// Compare two states and return the actions of every rule that fired, in
+// rule order: [{ index, rule, action, target }]. target is null when the
+// rule acts on the quick toggle's monitors.
+export function evaluateRules(rules, previous, current) {
+    if (!previous || !current) return [];
+    const actions = [];
+    rules.forEach((rule, index) => {
+        if (rule.enabled === false || !_triggered(rule, previous, current)) return;
+        actions.push({
+            index,
+            rule,
+            action: rule.action,
+            target: rule.target || null,
+        });
+    });
+    return actions;
+}
@@ -0,0 +1,169 @@
+import { logError } from './logger.js';
+import { findMonitorByRef, monitorIdentity } from './monitorIdentity.js';
+
+const SNAPSHOT_KEY = 'restore-snapshot';
+const PINNED_KEY = 'pinned-snapshots';
+
+// Identify the set of connected physical monitors, independent of order and
+// of connector numbering. Monitors without EDID data fall back to the connector.
+export function hardwareKey(monitors) {
+    return monitors.map(m => monitorIdentity(m) ?? m[0][0]).sort().join(',');
+}
+
+// Snapshots are stored per set of connected monitors, so docking and
+// undocking each keep their own:
+//   { [hardwareKey]: { [connector]: { x, y, scale, transform, isPrimary, modeId, identity } } }
+// Only the most recently written SNAPSHOT_LIMIT sets are kept.
+const SNAPSHOT_LIMIT = 10;
+
+// Snapshots written before identity matching were keyed by connector names only.
+export function snapshotMatchesHardware(snapshotHardware, monitors) {
+    return snapshotHardware === hardwareKey(monitors) ||
+        snapshotHardware === monitors.map(m => m[0][0]).sort().join(',');
+}
+
+// Re-key snapshot entries by the connector each monitor is plugged into now.
+export function remapSnapshot(snapshot, monitors) {
+    const remapped = {};
+    for (const [connector, entry] of Object.entries(snapshot)) {
+        const phys = findMonitorByRef(monitors, { identity: entry.identity ?? null, connector });
+        const current = phys ? phys[0][0] : connector;
+        if (remapped[current]) continue;
+        remapped[current] = { ...entry, identity: phys ? monitorIdentity(phys) : entry.identity ?? null };
+    }
+    return remapped;
+}
+
+function isSnapshotEntry(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// All stored snapshots, by hardware key; empty when nothing valid is stored.
+// A single { hardware, monitors } snapshot from older versions is read as
+// the one entry.
+export function readSnapshots(settings) {
+    if (!settings) return {};
+    try {
+        const parsed = JSON.parse(settings.get_string(SNAPSHOT_KEY) || '{}');
+        if (!isSnapshotEntry(parsed)) return {};
+        if (typeof parsed.hardware === 'string')
+            return isSnapshotEntry(parsed.monitors) ? { [parsed.hardware]: parsed.monitors } : {};
+        return Object.fromEntries(Object.entries(parsed).filter(([, monitors]) => isSnapshotEntry(monitors)));
+    } catch (e) {
+        logError('snapshot.read_error', { error: `${e}` });
+        return {};
+    }
+}
+
+export function writeSnapshots(settings, snapshots) {
+    if (!settings) return;
+    try {
+        const serialized = JSON.stringify(snapshots);
+        // Snapshots are re-taken on every refresh; skip redundant dconf writes.
+        if (settings.get_string(SNAPSHOT_KEY) !== serialized)
+            settings.set_string(SNAPSHOT_KEY, serialized);
+    } catch (e) {
+        logError('snapshot.write_error', { error: `${e}` });
+    }
+    writePins(settings, readPins(settings).filter(hardware => hardware in snapshots));
+}
+
+// A snapshot imported or edited by hand is pinned: the layout taken while
+// all monitors are active doesn't replace it until the extension changes
+// the layout itself.
+function readPins(settings) {
+    try {
+        return settings.get_strv(PINNED_KEY);
+    } catch (e) {
+        logError('snapshot.pins.read_error', { error: `${e}` });
+        return [];
+    }
+}
+
+function writePins(settings, pins) {
+    try {
+        if (JSON.stringify(settings.get_strv(PINNED_KEY)) !== JSON.stringify(pins))
+            settings.set_strv(PINNED_KEY, pins);
+    } catch (e) {
+        logError('snapshot.pins.write_error', { error: `${e}` });
+    }
+}
+
+export function isSnapshotPinned(settings, hardware) {
+    return !!settings && readPins(settings).includes(hardware);
+}
+
+export function pinSnapshot(settings, hardware) {
+    if (!settings || isSnapshotPinned(settings, hardware)) return;
+    writePins(settings, [...readPins(settings), hardware]);
+}
+
+export function unpinSnapshot(settings, hardware) {
+    if (!isSnapshotPinned(settings, hardware)) return;
+    writePins(settings, readPins(settings).filter(pinned => pinned !== hardware));
+}
+
+// The stored snapshot for the connected `monitors`, or null.
+export function findSnapshot(snapshots, monitors) {
+    const exact = snapshots[hardwareKey(monitors)];
+    if (exact) return exact;
+    const legacy = Object.keys(snapshots).find(hardware => snapshotMatchesHardware(hardware, monitors));
+    return legacy === undefined ? null : snapshots[legacy];
+}
+
+// Store `monitors` as the snapshot for `hardware`, keeping the others.
+export function writeSnapshot(settings, hardware, monitors) {
+    if (!settings) return;
+    const snapshots = readSnapshots(settings);
+    if (JSON.stringify(snapshots[hardware]) === JSON.stringify(monitors)) return;
+    delete snapshots[hardware];
+    snapshots[hardware] = monitors;
+    const kept = Object.entries(snapshots).slice(-SNAPSHOT_LIMIT);
+    writeSnapshots(settings, Object.fromEntries(kept));
+}
+
+// Store the layout taken while all monitors are active as the snapshot for
+// `hardware`, unless that snapshot is pinned. Returns false when it is.
+export function captureSnapshot(settings, hardware, monitors) {
+    if (isSnapshotPinned(settings, hardware)) return false;
+    writeSnapshot(settings, hardware, monitors);
+    return true;
+}
+
+// Snapshots edited by hand, stored as given; the sets whose snapshot
+// changed are pinned.
+export function writeEditedSnapshots(settings, snapshots) {
+    if (!settings) return;
+    const before = readSnapshots(settings);
+    writeSnapshots(settings, snapshots);
+    for (const [hardware, monitors] of Object.entries(snapshots)) {
+        if (JSON.stringify(before[hardware]) !== JSON.stringify(monitors))
+            pinSnapshot(settings, hardware);
+    }
+}
+
+export function clearSnapshot(settings) {
+    if (!settings) return;
+    try {
+        settings.set_string(SNAPSHOT_KEY, '');
+    } catch (e) {
+        logError('snapshot.clear_error', { error: `${e}` });
+    }
+    writePins(settings, []);
+}
+
+// Snapshot entries for an ApplyMonitorsConfig-form layout with one monitor
+// per logical monitor; mirrored logical monitors can't be represented.
+export function snapshotFromLayout(monitors, logicalMonitors) {
+    const snapshot = {};
+    for (const lm of logicalMonitors) {
+        const [conn, modeId] = lm[5][0];
+        const phys = monitors.find(p => p[0][0] === conn);
+        snapshot[conn] = {
+            x: lm[0], y: lm[1], scale: lm[2], transform: lm[3],
+            isPrimary: !!lm[4], modeId,
+            identity: phys ? monitorIdentity(phys) : null,
+        };
+    }
+    return snapshot;
+}
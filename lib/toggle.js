@@ -6,9 +6,56 @@ import Clutter from 'gi://Clutter';
 import { QuickMenuToggle } from 'resource:///org/gnome/shell/ui/quickSettings.js';
 import { ModalDialog } from 'resource:///org/gnome/shell/ui/modalDialog.js';
 
-import { DisplayConfigProxy, PERSISTENT_MODE } from './dbusService.js';
-import { loadMonitorConfigFromMonitorsXML } from './xmlReader.js';
-import { buildMonitorMenu, updateSelectedMonitorInMenu, updatePersistenceModeSelectionInMenu } from './menu.js';
+import {
+    DisplayConfigProxy,
+    DualMonitorToggleService,
+    PERSISTENT_MODE,
+    UPowerProxy,
+    VERIFY_MODE,
+    isConnectionError,
+    isStaleSerialError,
+    packApplyProperties,
+} from './dbusService.js';
+import { findConfigurationForMonitors, findSavedPlacement, readMonitorsXml } from './xmlReader.js';
+import {
+    buildProfileLayout,
+    captureProfile,
+    readProfiles,
+    removeProfile,
+    upsertProfile,
+    writeProfiles,
+} from './profiles.js';
+import {
+    captureSnapshot,
+    findSnapshot,
+    hardwareKey,
+    readSnapshots,
+    remapSnapshot,
+    unpinSnapshot,
+    writeSnapshot,
+} from './snapshot.js';
+import { encodeMonitorRef, findMonitorByRef, monitorIdentity, parseMonitorRef } from './monitorIdentity.js';
+import { readPlacementPolicy } from './placement.js';
+import { evaluateRules, monitorMatches, parseRules } from './rules.js';
+import {
+    buildMonitorMenu,
+    getRotationLabel,
+    updateHistoryItemsInMenu,
+    updatePersistenceModeSelectionInMenu,
+    updateRecoveryStateInMenu,
+    updateSelectedMonitorInMenu,
+} from './menu.js';
+import { addKeybindings, removeKeybindings } from './keybindings.js';
+import {
+    destroyNotifications,
+    notifyDisplayError,
+    notifyLayoutRejected,
+    readFeedbackLevel,
+    showMonitorOsd,
+    withdrawDisplayError,
+} from './notify.js';
+import { captureHistoryEntry, createHistory, recordChange, stepHistory } from './history.js';
+import { createCommandQueue } from './commandQueue.js';
 import {
     logDebug,
     logError,
@@ -17,34 +64,40 @@ import {
     nextOpId,
     snapshotLogicalMonitors,
 } from './logger.js';
-
-
-// Shift all positions so that min(x)=0, min(y)=0. Mutter rejects negative coords.
-function normalizePositions(logicalMonitors) {
-    if (logicalMonitors.length === 0) return logicalMonitors;
-    let minX = Infinity, minY = Infinity;
-    for (const lm of logicalMonitors) {
-        if (lm[0] < minX) minX = lm[0];
-        if (lm[1] < minY) minY = lm[1];
-    }
-    if (minX === 0 && minY === 0) return logicalMonitors;
-    return logicalMonitors.map(lm => {
-        const [x, y, scale, transform, isPrimary, monitors, properties] = lm;
-        return [x - minX, y - minY, scale, transform, isPrimary, monitors, properties];
-    });
-}
-
-// Fix Mutter bug: sometimes multiple monitors report primary=true.
-// Keep only the first one as primary.
-function fixPrimaryFlags(logicalMonitors) {
-    const primaries = logicalMonitors.filter(lm => lm[4]);
-    if (primaries.length <= 1) return;
-    let first = true;
-    for (const lm of logicalMonitors) {
-        if (lm[4]) {
-            if (!first) lm[4] = false;
-            first = false;
-        }
+import {
+    buildApplyArguments,
+    buildCurrentLayout,
+    buildMirrorLayout,
+    buildModeLayout,
+    buildPrimaryLayout,
+    buildSnapshotLayout,
+    buildSoloLayout,
+    computeToggleLayout,
+    currentModeId,
+    ensurePrimary,
+    fixPrimaryFlags,
+    isConnectorActive,
+    nextRotation,
+    validateLayout,
+} from './layout.js';
+
+// How long the "Keep these display settings?" dialog waits before reverting.
+const KEEP_SETTINGS_TIMEOUT_SECONDS = 20;
+
+// Retries after the display configuration could not be read or applied
+// wait twice as long each time, between these bounds.
+const RECOVERY_INITIAL_DELAY_MS = 2000;
+const RECOVERY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+const DISPLAY_CONFIG_BUS_NAME = 'org.gnome.Mutter.DisplayConfig';
+
+// Mutter refused a layout as based on stale information: the configuration
+// changed after the operation read it. The command queue runs the
+// operation again, so it reads the new configuration and rebuilds its layout.
+class StaleConfigurationError extends Error {
+    constructor(opId) {
+        super(`Display configuration changed during ${opId}`);
+        this.name = 'StaleConfigurationError';
     }
 }
 
@@ -67,9 +120,10 @@ export const SecondMonitorToggle = GObject.registerClass(
             this._logicalMonitors = [];   // Current logical monitors from DBus
             this._properties = {};
             this._serial = 0;
-            this._layoutMode = 1;
-            this._supportsChangingLayoutMode = false;
             this._monitor = null;         // Selected monitor connector
+            this._monitorGroup = [];      // Connectors checked for group toggling
+            this._soloConnector = null;   // Connector left on by "Only this monitor"
+            this._mirrorConnector = null; // Connector mirroring the primary
             this._persistenceMode = (modeSetting === 1 || modeSetting === 2) ? modeSetting : PERSISTENT_MODE;
             this._menuInitiallyBuilt = false;
             this._cachedMonitorsForBuild = '[]';
@@ -77,17 +131,73 @@ export const SecondMonitorToggle = GObject.registerClass(
             // Snapshot: exact state when ALL monitors were active.
             // Key = connector, Value = { x, y, scale, transform, isPrimary, modeId }
             // On re-enable we reconstruct from this — no arrangement detection needed.
+            // Persisted in GSettings, one per set of connected monitors, so it
+            // survives shell restarts, logouts and docking; loaded on refresh.
             this._snapshot = {};
+            this._snapshotHardware = null; // hardwareKey() of the monitors _snapshot is for
 
             this._configRefreshTimeoutId = null;
             this._instanceId = nextOpId('toggle-instance');
             this._primaryDialogTimeoutId = null;
             this._makePrimaryDialog = null;
-            this._toggling = false;
+            this._saveProfileDialog = null;
+            this._keepSettingsDialog = null;
+            this._keepSettingsPrevious = null;  // Layout a pending change reverts to
+            this._keepSettingsHistory = null;   // History from before that change
+            this._keepSettingsOnKeep = null;    // Runs once the pending change is kept
+            this._keepSettingsTimeoutId = null;
+            this._history = createHistory();  // Undo/redo of applied layouts
+            this._originalPrimary = null; // Primary to hand back to when the one that replaced it goes off
+            this._connectionErrorNotified = false; // A connection or GetCurrentState failure notification is showing
+            this._unavailableReason = null; // Why the toggle is waiting for recovery, null when working
+            this._recoveryAttempt = 0;
+            this._recoveryTimeoutId = null;
+            this._displayConfigOwner = null; // Unique bus name of Mutter's DisplayConfig
+            this._nameWatchId = null;
+            // Display operations and refreshes run one at a time, in order.
+            this._queue = createCommandQueue({ rerunOn: e => e instanceof StaleConfigurationError });
             this._monitorsChangedId = null;
             this._clickedId = null;
+            this._profilesChangedId = this._settings.connect('changed::layout-profiles', () => {
+                if (this._menuInitiallyBuilt) buildMonitorMenu(this);
+            });
+            // Follow changes made from the preferences window.
+            this._modeSettingChangedId = this._settings.connect('changed::mode-setting', () => {
+                const mode = this._settings.get_int('mode-setting');
+                this._persistenceMode = (mode === 1 || mode === 2) ? mode : PERSISTENT_MODE;
+                updatePersistenceModeSelectionInMenu(this);
+            });
+            // Snapshots edited in the preferences or imported replace ours.
+            this._snapshotChangedId = this._settings.connect('changed::restore-snapshot', () => {
+                this._loadSnapshot();
+            });
+            this._selectionChangedIds = ['changed::monitor-setting', 'changed::monitor-group'].map(signal =>
+                this._settings.connect(signal, () => {
+                    this._resolveMonitorGroup();
+                    updateSelectedMonitorInMenu(this);
+                    if (this._proxy) {
+                        this._refreshMonitorConfig().catch(e => {
+                            logError('toggle.settings.selection_refresh_error', {
+                                instanceId: this._instanceId,
+                                error: `${e}`,
+                            });
+                        });
+                    }
+                })
+            );
+            this._rulesTimerId = null;
+            this._ruleState = null;
+            this._upowerProxy = null;
+            this._upowerChangedId = null;
             this._initProxy();
-            this._clickedId = this.connect('clicked', this._toggleMonitor.bind(this));
+            this._watchDisplayConfig();
+            this._initRules();
+            addKeybindings(this, this._settings);
+            this._dbusService = new DualMonitorToggleService(this);
+            this._clickedId = this.connect('clicked', () => {
+                const action = this._unavailableReason ? this._recover('clicked') : this._toggleMonitor();
+                action.catch(e => logError('toggle.clicked.unhandled_error', { error: `${e}` }));
+            });
 
             logInfo('toggle.init.done', {
                 instanceId: this._instanceId,
@@ -106,7 +216,7 @@ export const SecondMonitorToggle = GObject.registerClass(
             });
             this._proxy = new DisplayConfigProxy(
                 Gio.DBus.session,
-                'org.gnome.Mutter.DisplayConfig',
+                DISPLAY_CONFIG_BUS_NAME,
                 '/org/gnome/Mutter/DisplayConfig',
                 (proxy, error) => {
                     if (this._proxy !== proxy) return;
@@ -116,6 +226,9 @@ export const SecondMonitorToggle = GObject.registerClass(
                             error: `${error}`,
                         });
                         this._disableToggle('proxy-init-error');
+                        this._notifyDisplayError(_('Could not connect to the display server'), error,
+                            () => this._retryFromNotification());
+                        this._connectionErrorNotified = true;
                     } else {
                         logInfo('toggle.proxy.init.success', {
                             instanceId: this._instanceId,
@@ -124,10 +237,12 @@ export const SecondMonitorToggle = GObject.registerClass(
                             logDebug('toggle.signal.monitors_changed', {
                                 instanceId: this._instanceId,
                                 hasProxy: !!this._proxy,
-                                toggling: this._toggling,
+                                busy: this._queue.busy,
                             });
-                            if (this._proxy && !this._toggling) {
-                                this._getMonitorConfig().catch(e => {
+                            if (this._proxy) {
+                                this._refreshMonitorConfig().then(() => {
+                                    this._evaluateRules('monitors-changed');
+                                }).catch(e => {
                                     logError('toggle.signal.monitors_changed.refresh_error', {
                                         instanceId: this._instanceId,
                                         error: `${e}`,
@@ -135,7 +250,7 @@ export const SecondMonitorToggle = GObject.registerClass(
                                 });
                             }
                         });
-                        this._getMonitorConfig().catch(e => {
+                        this._refreshMonitorConfig().catch(e => {
                             logError('toggle.config.initial_fetch_error', {
                                 instanceId: this._instanceId,
                                 error: `${e}`,
@@ -147,6 +262,104 @@ export const SecondMonitorToggle = GObject.registerClass(
             );
         }
 
+        // Automation rules are evaluated on MonitorsChanged, when UPower
+        // reports the lid opening or closing, and on a minute timer for
+        // time-of-day triggers.
+        _initRules() {
+            this._upowerProxy = new UPowerProxy(
+                Gio.DBus.system,
+                'org.freedesktop.UPower',
+                '/org/freedesktop/UPower',
+                (proxy, error) => {
+                    if (this._upowerProxy !== proxy) return;
+                    if (error) {
+                        logError('toggle.rules.upower.init.error', {
+                            instanceId: this._instanceId,
+                            error: `${error}`,
+                        });
+                        this._disconnectUPower();
+                    }
+                }
+            );
+            this._upowerChangedId = this._upowerProxy.connect('g-properties-changed', (_proxy, changed) => {
+                if (!changed.lookup_value('LidIsClosed', null)) return;
+                try {
+                    this._evaluateRules('lid');
+                } catch (e) {
+                    logError('toggle.rules.lid.error', {
+                        instanceId: this._instanceId,
+                        error: `${e}`,
+                    });
+                }
+            });
+
+            this._rulesTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 30, () => {
+                try {
+                    this._evaluateRules('timer');
+                } catch (e) {
+                    logError('toggle.rules.timer.error', {
+                        instanceId: this._instanceId,
+                        error: `${e}`,
+                    });
+                }
+                return GLib.SOURCE_CONTINUE;
+            });
+        }
+
+        _disconnectUPower() {
+            if (this._upowerProxy && this._upowerChangedId)
+                this._upowerProxy.disconnect(this._upowerChangedId);
+            this._upowerChangedId = null;
+            this._upowerProxy = null;
+        }
+
+        _captureRuleState() {
+            const now = GLib.DateTime.new_now_local();
+            const lidPresent = this._upowerProxy?.LidIsPresent ?? false;
+            return {
+                monitors: this._monitors.map(m => ({
+                    connector: m[0][0],
+                    identity: monitorIdentity(m),
+                })),
+                lidClosed: lidPresent ? !!this._upowerProxy.LidIsClosed : null,
+                minutes: now.get_hour() * 60 + now.get_minute(),
+            };
+        }
+
+        _evaluateRules(source) {
+            if (!this._proxy || !this._settings || this._monitors.length === 0) return;
+
+            const previous = this._ruleState;
+            const current = this._captureRuleState();
+            this._ruleState = current;
+
+            const rules = parseRules(this._settings.get_string('automation-rules'));
+            const actions = evaluateRules(rules, previous, current);
+            if (actions.length === 0) return;
+
+            logInfo('toggle.rules.fired', {
+                source,
+                actions: actions.map(a => ({ index: a.index, trigger: a.rule.trigger, action: a.action, target: a.target })),
+            });
+
+            // Apply one after another; each waits for the previous layout to settle.
+            (async () => {
+                for (const { action, target } of actions) {
+                    if (!this._proxy) return;
+                    const targets = target
+                        ? current.monitors.filter(m => monitorMatches(target, m)).map(m => m.connector)
+                        : this._getTargetConnectors();
+                    if (targets.length === 0) continue;
+                    await this._toggleMonitor(targets, action === 'enable');
+                }
+            })().catch(e => {
+                logError('toggle.rules.apply.error', {
+                    instanceId: this._instanceId,
+                    error: `${e}`,
+                });
+            });
+        }
+
         _clearTimeout(timeoutProp) {
             if (this[timeoutProp]) {
                 GLib.Source.remove(this[timeoutProp]);
@@ -174,7 +387,7 @@ export const SecondMonitorToggle = GObject.registerClass(
             if (!this._proxy) return;
             this._resetTimeout('_configRefreshTimeoutId', delayMs, () => {
                 if (!this._proxy) return GLib.SOURCE_REMOVE;
-                this._getMonitorConfig().then(() => {
+                this._refreshMonitorConfig().then(() => {
                     if (onSuccess && this._proxy) onSuccess();
                 }).catch(e => {
                     logError(errorEvent, {
@@ -227,12 +440,24 @@ export const SecondMonitorToggle = GObject.registerClass(
             }
         }
 
+        // Take the stored snapshot for the connected monitors, if any.
+        // Returns whether there was one.
+        _loadSnapshot() {
+            const stored = findSnapshot(readSnapshots(this._settings), this._monitors);
+            this._snapshot = stored ? remapSnapshot(stored, this._monitors) : {};
+            this._snapshotHardware = hardwareKey(this._monitors);
+            return !!stored;
+        }
+
+        // Stored as an EDID identity reference so the selection follows the
+        // monitor when a dock renumbers its connectors.
         _writeSavedMonitorSetting(connector) {
             if (!this._settings)
                 return;
 
             try {
-                this._settings.set_string('monitor-setting', connector);
+                const phys = this._monitors.find(m => m[0][0] === connector);
+                this._settings.set_string('monitor-setting', phys ? encodeMonitorRef(phys) : connector);
             } catch (e) {
                 logError('toggle.settings.monitor_setting.write_error', {
                     instanceId: this._instanceId,
@@ -242,16 +467,25 @@ export const SecondMonitorToggle = GObject.registerClass(
             }
         }
 
-        async _getMonitorConfig() {
+        // Re-read the configuration through the queue, after the operations
+        // already waiting. Requests made while one waits share it.
+        async _refreshMonitorConfig() {
+            return this._queue.run('refresh', opId => this._getMonitorConfig(opId), { key: 'refresh' });
+        }
+
+        // Read the configuration right away. Only for code already running
+        // in the queue; everything else goes through _refreshMonitorConfig().
+        // Returns false when the configuration could not be read, so the
+        // caller stops instead of working from the previous one.
+        async _getMonitorConfig(opId = nextOpId('get-config')) {
             const proxy = this._proxy;
-            if (!proxy) return;
-            const opId = nextOpId('get-config');
+            if (!proxy) return false;
             logStep(opId, 1, 'start GetCurrentStateAsync', {
                 instanceId: this._instanceId,
             });
             try {
                 const [serial, newMonitors, newLogicalMonitors, newProperties] = await proxy.GetCurrentStateAsync();
-                if (this._proxy !== proxy) return;
+                if (this._proxy !== proxy) return false;
 
                 fixPrimaryFlags(newLogicalMonitors);
 
@@ -266,7 +500,11 @@ export const SecondMonitorToggle = GObject.registerClass(
                     connector: m[0][0],
                     vendor: m[0][1],
                     product: m[0][2],
-                    modes: m[1].map(mode => ({ id: mode[0], w: mode[1], h: mode[2], r: mode[3] }))
+                    modes: m[1].map(mode => ({ id: mode[0], w: mode[1], h: mode[2], r: mode[3] })),
+                    // The display settings and primary display submenus mark the
+                    // current mode, scale, rotation and primary.
+                    current: currentModeId({ monitors: newMonitors }, m[0][0]),
+                    placement: newLogicalMonitors.find(lm => lm[5].some(x => x[0] === m[0][0]))?.slice(2, 5) ?? null,
                 }));
                 const currentMonitorsStateForBuild = JSON.stringify(relevantMonitorDataForBuild);
                 const monitorsListChanged = this._cachedMonitorsForBuild !== currentMonitorsStateForBuild;
@@ -275,13 +513,30 @@ export const SecondMonitorToggle = GObject.registerClass(
                 this._monitors = newMonitors;
                 this._logicalMonitors = newLogicalMonitors;
 
+                // Switch to the snapshot stored for a different set of connected
+                // monitors, otherwise follow ours to whatever connectors they use now.
+                const currentHardware = hardwareKey(this._monitors);
+                if (this._snapshotHardware !== currentHardware) {
+                    const previousHardware = this._snapshotHardware;
+                    const found = this._loadSnapshot();
+                    logStep(opId, 3, 'snapshot for connected monitors loaded', {
+                        previousHardware,
+                        currentHardware,
+                        found,
+                    });
+                } else {
+                    this._snapshot = remapSnapshot(this._snapshot, this._monitors);
+                }
+
                 // Snapshot: save exact state when ALL physical monitors are logically active.
                 // This is the single source of truth for restoring layout on re-enable.
+                // Mirrored layouts are skipped so the extended arrangement is kept;
+                // a snapshot imported or edited by hand (pinned) is kept as well.
                 const allActive = this._monitors.length > 0 && this._monitors.every(physMon =>
                     newLogicalMonitors.some(lm => lm[5].some(m => m[0] === physMon[0][0]))
-                );
+                ) && newLogicalMonitors.every(lm => lm[5].length === 1);
                 if (allActive) {
-                    this._snapshot = {};
+                    const snapshot = {};
                     for (const lm of newLogicalMonitors) {
                         for (const m of lm[5]) {
                             const conn = m[0];
@@ -293,30 +548,44 @@ export const SecondMonitorToggle = GObject.registerClass(
                                 );
                                 if (curMode) modeId = curMode[0];
                             }
-                            this._snapshot[conn] = {
+                            snapshot[conn] = {
                                 x: lm[0], y: lm[1],
                                 scale: lm[2], transform: lm[3],
                                 isPrimary: lm[4], modeId,
+                                identity: phys ? monitorIdentity(phys) : null,
                             };
                         }
                     }
-                    logStep(opId, 3, 'snapshot saved (all monitors active)', {
-                        snapshot: this._snapshot,
-                    });
+                    if (captureSnapshot(this._settings, currentHardware, snapshot)) {
+                        this._snapshot = snapshot;
+                        this._snapshotHardware = currentHardware;
+                        logStep(opId, 3, 'snapshot saved (all monitors active)', {
+                            snapshot: this._snapshot,
+                        });
+                    } else {
+                        logStep(opId, 3, 'snapshot kept (imported or edited)', {
+                            snapshot: this._snapshot,
+                        });
+                    }
                 }
 
                 this._properties = newProperties;
-                this._layoutMode = newProperties['layout-mode']?.deepUnpack() ?? 1;
-                this._supportsChangingLayoutMode = newProperties['supports-changing-layout-mode']?.deepUnpack() ?? false;
 
-                if (!this._monitor && this._monitors.length > 0) {
+                // Follow the saved monitor by identity, even if its connector changed.
+                const savedValue = this._readSavedMonitorSetting();
+                const savedRef = parseMonitorRef(savedValue);
+                const savedMonitor = findMonitorByRef(this._monitors, savedRef);
+                if (savedMonitor) {
+                    this._monitor = savedMonitor[0][0];
+                    // Migrate plain connector values from older versions.
+                    if (encodeMonitorRef(savedMonitor) !== savedValue)
+                        this._writeSavedMonitorSetting(this._monitor);
+                }
+
+                this._resolveMonitorGroup();
 
-                    const savedConnector = this._readSavedMonitorSetting();
-                    const monitorExists = this._monitors.some(m => m[0][0] === savedConnector);
-    
-                    if (savedConnector && monitorExists) {
-                        this._monitor = savedConnector;
-                    } else if (this._monitors.length === 1) {
+                if (!this._monitor && this._monitors.length > 0) {
+                    if (this._monitors.length === 1) {
                         this._monitor = this._monitors[0][0][0];
                     } else {
                         this._monitor = this._monitors[1][0][0]; // Default to second if multiple
@@ -339,40 +608,117 @@ export const SecondMonitorToggle = GObject.registerClass(
 
                 updateSelectedMonitorInMenu(this);
                 this._sync();
+                this._dbusService?.emitStateChanged(
+                    this._logicalMonitors.flatMap(lm => lm[5].map(m => m[0])).sort()
+                );
 
-                // Re-enable toggle if it was disabled by a previous transient error
-                if (!this.sensitive) this.sensitive = true;
+                // Leave the Retry state entered after a previous transient error
+                if (this._unavailableReason) this._markRecovered(opId);
+                // The display server answers again; its failure notification is stale.
+                if (this._connectionErrorNotified) {
+                    this._connectionErrorNotified = false;
+                    withdrawDisplayError();
+                }
                 logInfo('toggle.config.fetch.done', {
                     opId,
                     selectedMonitor: this._monitor,
                     checked: this.checked,
                 });
+                return true;
             } catch (e) {
-                if (this._proxy !== proxy) return;
+                if (this._proxy !== proxy) return false;
                 logError('toggle.config.fetch.error', {
                     opId,
                     instanceId: this._instanceId,
                     error: `${e}`,
                 });
-                this.subtitle = _('Error');
                 this._disableToggle('config-fetch-error');
+                this._notifyDisplayError(_('Could not read the display configuration'), e,
+                    () => this._retryFromNotification());
+                this._connectionErrorNotified = true;
+                return false;
             }
         }
 
         _sync() {
             if (!this._proxy) return;
-            const isSelectedMonitorActive = this._logicalMonitors.some(lm =>
-                lm[5].some(m => m[0] === this._monitor)
-            );
+            const targets = this._getTargetConnectors();
+            const isSelectedMonitorActive = targets.some(conn => this._isConnectorActive(conn));
             this.checked = isSelectedMonitorActive;
             this._updateIndicatorVisibility();
             logDebug('toggle.sync', {
                 selectedMonitor: this._monitor,
+                targets,
                 selectedMonitorActive: isSelectedMonitorActive,
                 checked: this.checked,
             });
         }
 
+        _isConnectorActive(connector) {
+            return isConnectorActive(this._logicalMonitors, connector);
+        }
+
+        // Monitors the quick toggle acts on: the checked group when there is
+        // one, otherwise just the selected monitor.
+        _getTargetConnectors() {
+            if (this._monitorGroup.length > 0) return [...this._monitorGroup];
+            return this._monitor ? [this._monitor] : [];
+        }
+
+        _readMonitorGroupSetting() {
+            if (!this._settings)
+                return [];
+
+            try {
+                return this._settings.get_strv('monitor-group');
+            } catch (e) {
+                logError('toggle.settings.monitor_group.read_error', {
+                    instanceId: this._instanceId,
+                    error: `${e}`,
+                });
+                return [];
+            }
+        }
+
+        // Resolve stored group references against the connected monitors.
+        _resolveMonitorGroup() {
+            const connectors = [];
+            for (const value of this._readMonitorGroupSetting()) {
+                const phys = findMonitorByRef(this._monitors, parseMonitorRef(value));
+                if (phys && !connectors.includes(phys[0][0])) connectors.push(phys[0][0]);
+            }
+            this._monitorGroup = connectors;
+        }
+
+        _setMonitorGroupMember(connector, member) {
+            const phys = this._monitors.find(m => m[0][0] === connector);
+            if (!phys || !this._settings) return;
+
+            // Keep references to group members that are currently unplugged.
+            const refs = this._readMonitorGroupSetting().filter(value =>
+                !findMonitorByRef([phys], parseMonitorRef(value))
+            );
+            if (member) refs.push(encodeMonitorRef(phys));
+
+            try {
+                this._settings.set_strv('monitor-group', refs);
+            } catch (e) {
+                logError('toggle.settings.monitor_group.write_error', {
+                    instanceId: this._instanceId,
+                    connector,
+                    error: `${e}`,
+                });
+            }
+            this._resolveMonitorGroup();
+            logInfo('toggle.monitor_group.changed', {
+                connector,
+                member,
+                group: this._monitorGroup,
+            });
+            updateSelectedMonitorInMenu(this);
+            this._sync();
+        }
+
         _updateIndicatorVisibility() {
             if (!this._proxy) return;
             if (this._indicator) {
@@ -384,213 +730,801 @@ export const SecondMonitorToggle = GObject.registerClass(
             }
         }
 
-        // Resolve the best mode ID for a connector from physical monitor data.
-        _resolveModeId(connector) {
-            const phys = this._monitors.find(p => p[0][0] === connector);
-            if (!phys) return null;
-            // Prefer: saved snapshot mode → is-current → is-preferred → first available
-            const snapMode = this._snapshot[connector]?.modeId;
-            if (snapMode && phys[1].some(m => m[0] === snapMode)) return snapMode;
-            const current = phys[1].find(m => typeof m[0] === 'string' && m[6]?.['is-current']?.deepUnpack?.());
-            if (current) return current[0];
-            const preferred = phys[1].find(m => typeof m[0] === 'string' && m[6]?.['is-preferred']?.deepUnpack?.());
-            if (preferred) return preferred[0];
-            const first = phys[1].find(m => typeof m[0] === 'string');
-            return first ? first[0] : null;
-        }
-
-        async _toggleMonitor() {
-            if (!this._proxy || this._toggling) return;
-            this._toggling = true;
-            const opId = nextOpId('toggle');
-            logInfo('toggle.action.start', {
-                opId,
-                selectedMonitor: this._monitor,
-                persistenceMode: this._persistenceMode,
+        // Plain view of the current configuration for the layout builders.
+        _layoutState() {
+            return {
+                serial: this._serial,
+                monitors: this._monitors,
+                logicalMonitors: this._logicalMonitors,
+                properties: this._properties,
+                snapshot: this._snapshot,
+            };
+        }
+
+        // Flip the quick toggle's monitors, or with explicit arguments (used by
+        // automation rules) bring `requestedTargets` into the `enable` state.
+        async _toggleMonitor(requestedTargets = null, enable = null) {
+            return this._queue.run('toggle', async opId => {
+                if (!this._proxy) return;
+                const interactive = requestedTargets === null;
+                logInfo('toggle.action.start', {
+                    opId,
+                    selectedMonitor: this._monitor,
+                    group: this._monitorGroup,
+                    requestedTargets,
+                    enable,
+                    persistenceMode: this._persistenceMode,
+                });
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    const targets = requestedTargets ?? this._getTargetConnectors();
+                    // Leaving solo or mirror mode always brings back the full snapshot layout.
+                    const leavingSpecialLayout = enable !== false &&
+                        (this._isSoloLayoutActive() || this._isMirrorLayoutActive()) &&
+                        Object.keys(this._snapshot).length > 1;
+
+                    if (leavingSpecialLayout) {
+                        logStep(opId, 1, 'leaving solo/mirror mode, restoring snapshot', {
+                            soloConnector: this._soloConnector,
+                            mirrorConnector: this._mirrorConnector,
+                            snapshot: this._snapshot,
+                        });
+                    }
+
+                    const savedConfigurations = readMonitorsXml();
+                    const placement = readPlacementPolicy(this._settings, this._monitors);
+                    const result = computeToggleLayout(this._layoutState(), targets, {
+                        enable,
+                        restoreSnapshot: leavingSpecialLayout,
+                        loadSavedPlacement: (conn, physMon) => findSavedPlacement(savedConfigurations, physMon[0], this._monitors),
+                        savedConfiguration: findConfigurationForMonitors(savedConfigurations, this._monitors),
+                        placement,
+                        preferredPrimary: this._originalPrimary,
+                    });
+                    if (result.unchanged) {
+                        logStep(opId, 1, 'monitors already in requested state', { targets, enable });
+                        return true;
+                    }
+                    if (!leavingSpecialLayout) {
+                        logStep(opId, 1, result.enable ? 'enabling monitors' : 'disabling monitors', { targets });
+                        if (result.enable && !result.error) {
+                            let source = 'no snapshot, placing by policy';
+                            if (result.fromSnapshot) source = 'restoring from snapshot';
+                            else if (result.fromSavedConfiguration) source = 'restoring monitors.xml configuration';
+                            logStep(opId, 2, source, { snapshot: this._snapshot, placement });
+                        }
+                    }
+
+                    switch (result.error) {
+                    case null:
+                        break;
+                    case 'physical-monitor-not-found':
+                    case 'no-mode-for-monitor':
+                        // The layout can't be built for these monitors; retrying
+                        // won't change that, so say why instead of recovering.
+                        logError('toggle.action.abort', { opId, reason: result.error, targets });
+                        this._notifyLayoutRejected([{
+                            problem: result.error === 'no-mode-for-monitor' ? 'no-mode' : 'monitor-not-connected',
+                            connectors: targets,
+                        }]);
+                        await this._getMonitorConfig(opId);
+                        return;
+                    default:
+                        logError('toggle.action.abort', { opId, reason: result.error });
+                        await this._getMonitorConfig();
+                        return;
+                    }
+
+                    if (!await this._applyLayout(opId, result.logicalMonitors, { confirm: interactive })) return;
+
+                    this._soloConnector = null;
+                    this._mirrorConnector = null;
+                    if (!result.enable && result.logicalMonitors.some(lm => lm[4] && lm[5].some(m => m[0] === this._originalPrimary)))
+                        this._originalPrimary = null;
+                    if (interactive) {
+                        this.checked = result.enable;
+                        this._updateIndicatorVisibility();
+                    }
+                    this._scheduleConfigRefresh(opId, 'toggle.action.refresh.error');
+                    const names = targets.map(c => this._getMonitorDisplayName(c, 'long')).join(', ');
+                    if (result.enable)
+                        this._showChangeOsd('video-display-symbolic', _('%s on').format(names));
+                    else
+                        this._showChangeOsd('display-off-symbolic', _('%s off').format(names));
+
+                    // After re-enabling a single monitor, ask whether to make it
+                    // primary, or do what the 'primary-on-enable' setting says.
+                    // A pending "Keep these display settings?" is answered first;
+                    // a reverted change gets no follow-up.
+                    const primaryOnEnable = this._settings.get_string('primary-on-enable');
+                    if (interactive && result.enable && !leavingSpecialLayout && targets.length === 1 &&
+                        primaryOnEnable !== 'never') {
+                        const offerPrimary = () => {
+                            if (!this._proxy) return;
+                            if (primaryOnEnable === 'always') {
+                                this._makePrimary(targets[0]).catch(e =>
+                                    logError('toggle.make_primary.unhandled_error', {
+                                        connector: targets[0],
+                                        error: `${e}`,
+                                    })
+                                );
+                            } else {
+                                this._showMakePrimaryDialog(targets[0]);
+                            }
+                        };
+                        if (this._keepSettingsDialog) {
+                            this._keepSettingsOnKeep = offerPrimary;
+                        } else {
+                            this._resetTimeout('_primaryDialogTimeoutId', 1500, () => {
+                                offerPrimary();
+                                return GLib.SOURCE_REMOVE;
+                            });
+                        }
+                    }
+                    return true;
+                } finally {
+                    logInfo('toggle.action.end', { opId, checked: this.checked });
+                }
+            }, {
+                // Bringing monitors into a given state can be merged with a
+                // waiting request for the same; a flip can't, since two flips
+                // cancel out.
+                key: enable === null ? null : `toggle:${JSON.stringify([requestedTargets, enable])}`,
             });
-            try {
+        }
 
-            await this._getMonitorConfig();
-            if (!this._proxy) return;
+        _isSoloLayoutActive() {
+            return !!this._soloConnector &&
+                this._logicalMonitors.length === 1 &&
+                this._logicalMonitors[0][5].length === 1 &&
+                this._logicalMonitors[0][5][0][0] === this._soloConnector;
+        }
 
-            const isActive = this._logicalMonitors.some(lm =>
-                lm[5].some(m => m[0] === this._monitor)
+        _isMirrorLayoutActive() {
+            return !!this._mirrorConnector && this._logicalMonitors.some(lm =>
+                lm[5].length > 1 && lm[5].some(m => m[0] === this._mirrorConnector)
             );
+        }
 
-            let finalLogicalMonitors;
+        // Show the primary monitor's content on `connector` by putting both
+        // into one logical monitor with a resolution they share.
+        async _mirrorMonitor(connector) {
+            return this._queue.run('mirror', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.mirror.start', { opId, connector });
+                try {
+                    if (!await this._getMonitorConfig()) return;
 
-            if (isActive) {
-                // ── DISABLE ──
-                logStep(opId, 1, 'disabling monitor', { monitor: this._monitor });
+                    const mirror = buildMirrorLayout(this._layoutState(), connector);
+                    if (mirror.error) {
+                        logError('toggle.mirror.abort', { opId, connector, reason: mirror.error });
+                        return;
+                    }
+                    logStep(opId, 1, 'common mode selected', {
+                        primaryConn: mirror.primaryConnector,
+                        primaryModeId: mirror.primaryModeId,
+                        secondaryModeId: mirror.secondaryModeId,
+                        scale: mirror.scale,
+                    });
 
-                // Remove the selected monitor; keep the rest at (0,0).
-                finalLogicalMonitors = this._logicalMonitors
-                    .map(lm => {
-                        const filtered = lm[5].filter(m => m[0] !== this._monitor);
-                        if (filtered.length === 0) return null;
-                        return [lm[0], lm[1], lm[2], lm[3], lm[4], filtered, lm[6]];
-                    })
-                    .filter(lm => lm !== null);
+                    if (!await this._applyLayout(opId, mirror.logicalMonitors)) return;
 
-                if (finalLogicalMonitors.length === 0) {
-                    logError('toggle.action.abort', { opId, reason: 'no monitors left' });
-                    await this._getMonitorConfig();
-                    return;
+                    this._mirrorConnector = connector;
+                    this._soloConnector = null;
+                    this._scheduleConfigRefresh(opId, 'toggle.mirror.refresh.error');
+                    this._showChangeOsd('video-joined-displays-symbolic',
+                        _('%s mirrors the primary display').format(this._getMonitorDisplayName(connector, 'long')));
+                    return true;
+                } finally {
+                    logInfo('toggle.mirror.end', { opId, connector });
                 }
+            }, { key: 'mirror' });
+        }
 
-                // Single remaining monitor goes to origin.
-                if (finalLogicalMonitors.length === 1) {
-                    finalLogicalMonitors[0][0] = 0;
-                    finalLogicalMonitors[0][1] = 0;
-                }
+        // Make `connector` the monitor the quick toggle controls.
+        async _selectMonitor(connector) {
+            return this._queue.run('select', async opId => {
+                if (!this._proxy) return;
+                this._monitor = connector;
+                this._writeSavedMonitorSetting(this._monitor);
+                logInfo('toggle.monitor.selected', { opId, selectedMonitor: this._monitor });
+                await this._getMonitorConfig(opId);
+            }, { key: 'select' });
+        }
 
-                // Ensure exactly one primary.
-                if (!finalLogicalMonitors.some(lm => lm[4])) {
-                    finalLogicalMonitors[0][4] = true;
-                }
+        // Select the next connected monitor, wrapping around.
+        async _cycleSelectedMonitor() {
+            return this._queue.run('cycle', async opId => {
+                if (!this._proxy || this._monitors.length === 0) return;
+                const index = this._monitors.findIndex(m => m[0][0] === this._monitor);
+                this._monitor = this._monitors[(index + 1) % this._monitors.length][0][0];
+                this._writeSavedMonitorSetting(this._monitor);
+                logInfo('toggle.monitor.cycled', { opId, selectedMonitor: this._monitor });
+                await this._getMonitorConfig(opId);
+            });
+        }
 
-            } else {
-                // ── ENABLE ──
-                logStep(opId, 1, 'enabling monitor', { monitor: this._monitor });
-
-                const snap = this._snapshot[this._monitor];
-                const hasSnapshot = snap && Object.keys(this._snapshot).length > 1;
-
-                if (hasSnapshot) {
-                    // Restore EXACT saved positions for ALL monitors from snapshot.
-                    logStep(opId, 2, 'restoring from snapshot', { snapshot: this._snapshot });
-
-                    finalLogicalMonitors = [];
-                    for (const [conn, s] of Object.entries(this._snapshot)) {
-                        const modeId = this._resolveModeId(conn);
-                        if (!modeId) continue;
-                        // Check if this connector is actually available (still plugged in)
-                        if (!this._monitors.some(p => p[0][0] === conn)) continue;
-                        finalLogicalMonitors.push([
-                            s.x, s.y, s.scale, s.transform, s.isPrimary,
-                            [[conn, modeId, {}]], {},
-                        ]);
-                    }
-                } else {
-                    // No snapshot — fall back to placing right of current monitors.
-                    logStep(opId, 2, 'no snapshot, placing to right', {});
+        // Turn every monitor back on at its snapshot position.
+        async _restoreSnapshot() {
+            return this._queue.run('restore-all', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.restore_all.start', { opId });
+                try {
+                    if (!await this._getMonitorConfig()) return;
 
-                    const physMon = this._monitors.find(p => p[0][0] === this._monitor);
-                    if (!physMon) {
-                        this._disableToggle('physical-monitor-not-found');
+                    const logicalMonitors = buildSnapshotLayout(this._layoutState());
+                    if (logicalMonitors.length === 0) {
+                        logError('toggle.restore_all.abort', { opId, reason: 'no snapshot' });
                         return;
                     }
-                    let scale = 1.0, transform = 0;
-                    const xmlConf = loadMonitorConfigFromMonitorsXML(this._monitor);
-                    if (xmlConf) {
-                        scale = xmlConf.scale;
-                        transform = xmlConf.transform;
+                    ensurePrimary(logicalMonitors);
+
+                    if (!await this._applyLayout(opId, logicalMonitors)) return;
+
+                    this._soloConnector = null;
+                    this._mirrorConnector = null;
+                    this._scheduleConfigRefresh(opId, 'toggle.restore_all.refresh.error');
+                    this._showChangeOsd('video-display-symbolic', _('All monitors on'));
+                    return true;
+                } finally {
+                    logInfo('toggle.restore_all.end', { opId });
+                }
+            }, { key: 'restore-all' });
+        }
+
+        // Keep only `connector` on, at the origin as primary; everything else
+        // is turned off. The main toggle restores the snapshot afterwards.
+        async _soloMonitor(connector) {
+            return this._queue.run('solo', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.solo.start', { opId, connector });
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    const solo = buildSoloLayout(this._layoutState(), connector);
+                    if (solo.error) {
+                        logError('toggle.solo.abort', { opId, connector, reason: solo.error });
+                        return;
                     }
 
-                    // Find rightmost edge of current layout
-                    let maxRight = 0;
-                    for (const lm of this._logicalMonitors) {
-                        const conn = lm[5][0]?.[0];
-                        const mode = this._resolveModeId(conn);
-                        const phys = this._monitors.find(p => p[0][0] === conn);
-                        if (phys && mode) {
-                            const m = phys[1].find(md => md[0] === mode);
-                            if (m) maxRight = Math.max(maxRight, lm[0] + Math.round(m[1] / lm[2]));
+                    if (!await this._applyLayout(opId, solo.logicalMonitors)) return;
+
+                    this._soloConnector = connector;
+                    this._mirrorConnector = null;
+                    this._scheduleConfigRefresh(opId, 'toggle.solo.refresh.error');
+                    this._showChangeOsd('video-single-display-symbolic',
+                        _('Only %s').format(this._getMonitorDisplayName(connector, 'long')));
+                    return true;
+                } finally {
+                    logInfo('toggle.solo.end', { opId, connector });
+                }
+            }, { key: 'solo' });
+        }
+
+        // Switch `connector` to another mode and/or scale (null keeps the
+        // current one).
+        async _setMonitorMode(connector, modeId = null, scale = null) {
+            return this._changeMonitorSettings('set-mode', connector, { modeId, scale });
+        }
+
+        // Rotate `connector` to a Mutter transform (0-7).
+        async _rotateMonitor(connector, transform) {
+            return this._changeMonitorSettings('rotate', connector, { transform });
+        }
+
+        // Apply a mode, scale or transform change to one active monitor. The
+        // choice goes into the snapshot so re-enabling the monitor later
+        // brings it back. `requestedConnector` null means the selected
+        // monitor, and `changes` may be a function of the monitor's logical
+        // monitor: both are then resolved from the configuration read in the
+        // queue.
+        async _changeMonitorSettings(operation, requestedConnector, changes) {
+            const relative = typeof changes === 'function';
+            return this._queue.run(operation, async opId => {
+                if (!this._proxy) return;
+                const event = operation.replace(/-/g, '_');
+                logInfo(`toggle.${event}.start`, { opId, connector: requestedConnector, ...(relative ? {} : changes) });
+                let connector = requestedConnector;
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    connector ??= this._monitor;
+                    let resolved = changes;
+                    if (relative) {
+                        const lm = this._logicalMonitors.find(l => l[5].some(m => m[0] === connector));
+                        if (!lm) {
+                            logError(`toggle.${event}.abort`, { opId, connector, reason: 'monitor-not-active' });
+                            return;
                         }
+                        resolved = changes(lm);
                     }
-
-                    finalLogicalMonitors = this._logicalMonitors.map(lm => {
-                        const conn = lm[5][0]?.[0];
-                        const modeId = this._resolveModeId(conn);
-                        if (!modeId) return null;
-                        return [lm[0], lm[1], lm[2], lm[3], lm[4],
-                            [[conn, modeId, {}]], {}];
-                    }).filter(lm => lm !== null);
-
-                    const modeId = this._resolveModeId(this._monitor);
-                    if (!modeId) {
-                        this._disableToggle('no-mode-for-monitor');
+                    const result = buildModeLayout(this._layoutState(), connector, resolved);
+                    if (result.error) {
+                        logError(`toggle.${event}.abort`, { opId, connector, reason: result.error });
                         return;
                     }
-                    finalLogicalMonitors.push([
-                        maxRight, 0, scale, transform, false,
-                        [[this._monitor, modeId, {}]], {},
-                    ]);
-                }
+                    logStep(opId, 1, 'monitor settings selected', {
+                        connector,
+                        modeId: result.modeId,
+                        scale: result.scale,
+                        transform: result.transform,
+                    });
 
-                // Ensure exactly one primary
-                fixPrimaryFlags(finalLogicalMonitors);
-                if (!finalLogicalMonitors.some(lm => lm[4]) && finalLogicalMonitors.length > 0) {
-                    finalLogicalMonitors[0][4] = true;
+                    if (!await this._applyLayout(opId, result.logicalMonitors)) return;
+
+                    const entry = this._snapshot[connector];
+                    if (entry) {
+                        this._snapshot[connector] = {
+                            ...entry,
+                            modeId: result.modeId,
+                            scale: result.scale,
+                            transform: result.transform,
+                        };
+                        this._snapshotHardware = hardwareKey(this._monitors);
+                        writeSnapshot(this._settings, this._snapshotHardware, this._snapshot);
+                    }
+                    this._scheduleConfigRefresh(opId, `toggle.${event}.refresh.error`);
+                    this._showSettingsChangeOsd(operation, connector, result);
+                    return true;
+                } finally {
+                    logInfo(`toggle.${event}.end`, { opId, connector });
                 }
-            }
+            }, { key: relative ? null : `${operation}:${requestedConnector}` });
+        }
 
-            // Resolve mode IDs for all monitors (in case we carried over placeholder IDs)
-            finalLogicalMonitors = finalLogicalMonitors.map(lm => {
-                const conn = lm[5][0]?.[0];
-                const modeId = this._resolveModeId(conn);
-                if (!modeId) return null;
-                return [lm[0], lm[1], lm[2], lm[3], lm[4],
-                    [[conn, modeId, {}]], {}];
-            }).filter(lm => lm !== null);
-
-            if (finalLogicalMonitors.length === 0) {
-                logError('toggle.action.abort', { opId, reason: 'no valid monitors after resolve' });
-                await this._getMonitorConfig();
+        // OSD naming the monitor and its new rotation, or its new mode and scale.
+        _showSettingsChangeOsd(operation, connector, { modeId, scale, transform }) {
+            const name = this._getMonitorDisplayName(connector, 'long');
+            if (operation === 'rotate') {
+                this._showChangeOsd('object-rotate-right-symbolic',
+                    _('Rotation of %s: %s').format(name, getRotationLabel(transform)));
                 return;
             }
+            const mode = this._monitors.find(m => m[0][0] === connector)?.[1].find(m => m[0] === modeId);
+            const details = mode
+                ? `${mode[1]}×${mode[2]} @ ${mode[3].toFixed(1)}Hz, ${Math.round(scale * 100)}%`
+                : `${Math.round(scale * 100)}%`;
+            this._showChangeOsd('video-display-symbolic', `${name}: ${details}`);
+        }
 
-            // Normalize positions to satisfy Mutter's min(x)=0, min(y)=0 constraint.
-            finalLogicalMonitors = normalizePositions(finalLogicalMonitors);
+        // Step the selected monitor to its next rotation.
+        async _rotateSelectedMonitor() {
+            return this._changeMonitorSettings('rotate', null, lm => ({ transform: nextRotation(lm[3]) }));
+        }
+
+        // Normalize, check and apply a layout through ApplyMonitorsConfig.
+        // In persistent mode the user then confirms it, or it is reverted;
+        // `confirm: false` skips that for automatic changes and reverts.
+        // The layout it replaces goes into the undo history unless `record`
+        // is false. Returns true when Mutter accepted it.
+        async _applyLayout(opId, finalLogicalMonitors, { confirm = true, record = true } = {}) {
+            const state = this._layoutState();
+            const previous = captureHistoryEntry(state, this._soloConnector, this._mirrorConnector);
+            const historyBefore = this._history;
+            // Normalizes positions to satisfy Mutter's min(x)=0, min(y)=0 constraint.
+            const [, method, positioned, properties] =
+                buildApplyArguments(state, this._persistenceMode, finalLogicalMonitors);
+            finalLogicalMonitors = positioned;
 
             logStep(opId, 3, 'final layout to apply', {
                 finalLogicalMonitors: snapshotLogicalMonitors(finalLogicalMonitors),
             });
 
-            const propertiesToApply = {};
-            if (this._supportsChangingLayoutMode) {
-                propertiesToApply['layout-mode'] = new GLib.Variant('u', this._layoutMode);
+            // Catch what Mutter would reject, and say why in user terms.
+            const problems = validateLayout(state, finalLogicalMonitors);
+            if (problems.length > 0) {
+                logError('toggle.action.apply.invalid_layout', {
+                    opId, problems,
+                    finalLogicalMonitors: snapshotLogicalMonitors(finalLogicalMonitors),
+                });
+                this._notifyLayoutRejected(problems);
+                return false;
             }
 
             const proxy = this._proxy;
-            if (!proxy) return;
+            if (!proxy) return false;
+
+            // Dry run: Mutter checks the layout without changing anything, so
+            // a rejection leaves the displays and the toggle as they were.
             try {
-                await proxy.ApplyMonitorsConfigAsync(
-                    this._serial, this._persistenceMode,
-                    finalLogicalMonitors, propertiesToApply
-                );
-                if (this._proxy !== proxy) return;
+                await this._applyMonitorsConfig(opId, proxy, VERIFY_MODE, finalLogicalMonitors, properties);
+            } catch (e) {
+                if (e instanceof StaleConfigurationError) throw e;
+                if (this._proxy !== proxy) return false;
+                logError('toggle.action.verify.error', {
+                    opId, error: `${e}`,
+                    finalLogicalMonitors: snapshotLogicalMonitors(finalLogicalMonitors),
+                });
+                if (isConnectionError(e)) this._disableToggle('verify-config-error');
+                this._notifyLayoutRejected([], e);
+                return false;
+            }
+            if (this._proxy !== proxy) return false;
+            logStep(opId, 4, 'layout verified by Mutter');
+
+            try {
+                await this._applyMonitorsConfig(opId, proxy, method, finalLogicalMonitors, properties);
+                if (this._proxy !== proxy) return false;
                 logInfo('toggle.action.apply.success', { opId });
+                // The extension arranged the monitors itself; from here on the
+                // snapshot follows its layouts again.
+                unpinSnapshot(this._settings, hardwareKey(state.monitors));
+                if (record) this._recordChange(previous);
+                if (confirm && method === PERSISTENT_MODE)
+                    this._showKeepSettingsDialog(opId, previous, historyBefore);
+                return true;
             } catch (e) {
-                if (this._proxy !== proxy) return;
+                if (e instanceof StaleConfigurationError) throw e;
+                if (this._proxy !== proxy) return false;
                 logError('toggle.action.apply.error', {
                     opId, error: `${e}`,
                     finalLogicalMonitors: snapshotLogicalMonitors(finalLogicalMonitors),
                 });
+                // Only a lost connection to Mutter is worth recovering from
+                // or retrying; a refused layout stays refused.
+                if (!isConnectionError(e)) {
+                    this._notifyLayoutRejected([], e);
+                    return false;
+                }
                 this._disableToggle('apply-config-error');
-                this._scheduleConfigRefresh(opId, 'toggle.action.recovery.error', () => {
-                    this.sensitive = true;
+                this._notifyLayoutRejected([], e, () => {
+                    this._retryLayout(finalLogicalMonitors, { confirm, record }).catch(err =>
+                        logError('toggle.retry.unhandled_error', { error: `${err}` })
+                    );
                 });
-                return;
+                return false;
             }
+        }
 
-            this.checked = !isActive;
-            this._updateIndicatorVisibility();
-            this._scheduleConfigRefresh(opId, 'toggle.action.refresh.error');
+        // ApplyMonitorsConfig with the serial of the configuration the layout
+        // was built from. If Mutter calls it stale, the layout is out of date
+        // too: StaleConfigurationError makes the queue run the operation again.
+        async _applyMonitorsConfig(opId, proxy, method, logicalMonitors, properties) {
+            try {
+                await proxy.ApplyMonitorsConfigAsync(
+                    this._serial, method,
+                    logicalMonitors, packApplyProperties(properties)
+                );
+            } catch (e) {
+                if (!isStaleSerialError(e)) throw e;
+                logInfo('toggle.action.apply.stale_serial', { opId, serial: this._serial, method });
+                throw new StaleConfigurationError(opId);
+            }
+        }
+
+        // "Keep these display settings?" with a countdown; the layout from
+        // before the change comes back unless the user keeps it in time.
+        // A change made while the dialog is open still reverts to the
+        // layout, and the undo history, from before the first one.
+        _showKeepSettingsDialog(opId, previous, history) {
+            if (this._keepSettingsDialog) {
+                previous = this._keepSettingsPrevious ?? previous;
+                history = this._keepSettingsHistory ?? history;
+                this._keepSettingsDialog.close();
+                this._keepSettingsDialog = null;
+            }
+            // Whatever waited on the replaced change was about a layout that is gone.
+            this._keepSettingsOnKeep = null;
+            this._clearTimeout('_keepSettingsTimeoutId');
+            logInfo('toggle.dialog.keep_settings.show', { opId });
+
+            const dialog = new ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
+            this._keepSettingsDialog = dialog;
+            this._keepSettingsPrevious = previous;
+            this._keepSettingsHistory = history;
+            dialog.connect('destroy', () => {
+                if (this._keepSettingsDialog === dialog) {
+                    this._keepSettingsDialog = null;
+                    this._keepSettingsPrevious = null;
+                    this._keepSettingsHistory = null;
+                    this._keepSettingsOnKeep = null;
+                    this._clearTimeout('_keepSettingsTimeoutId');
+                }
+            });
+
+            dialog.contentLayout.add_child(new St.Label({
+                text: _('Keep these display settings?'),
+                style_class: 'message-dialog-title',
+            }));
+            const countdown = new St.Label({ style_class: 'message-dialog-description' });
+            dialog.contentLayout.add_child(countdown);
+
+            const decide = decision => {
+                logInfo('toggle.dialog.keep_settings.decision', { opId, decision });
+                const onKeep = this._keepSettingsDialog === dialog ? this._keepSettingsOnKeep : null;
+                this._clearTimeout('_keepSettingsTimeoutId');
+                dialog.close();
+                if (decision === 'keep') {
+                    onKeep?.();
+                    return;
+                }
+                this._revertDisplayChange(previous, history).catch(e =>
+                    logError('toggle.revert.unhandled_error', { opId, error: `${e}` })
+                );
+            };
+
+            dialog.addButton({
+                label: _('Revert Settings'),
+                action: () => decide('revert'),
+                key: Clutter.KEY_Escape,
+            });
+            dialog.addButton({
+                label: _('Keep Changes'),
+                action: () => decide('keep'),
+                default: true,
+            });
 
-            // After re-enabling, ask if user wants to make it primary
-            if (!isActive) {
-                this._resetTimeout('_primaryDialogTimeoutId', 1500, () => {
-                    if (!this._proxy) return GLib.SOURCE_REMOVE;
-                    this._showMakePrimaryDialog(this._monitor);
+            let remaining = KEEP_SETTINGS_TIMEOUT_SECONDS;
+            const tick = () => {
+                if (remaining <= 0) {
+                    decide('timeout');
                     return GLib.SOURCE_REMOVE;
-                });
+                }
+                countdown.text = _('Settings changes will revert in %d seconds').format(remaining);
+                remaining--;
+                this._resetTimeout('_keepSettingsTimeoutId', 1000, tick);
+                return GLib.SOURCE_REMOVE;
+            };
+            tick();
+
+            dialog.open();
+        }
+
+        // Put back the layout captured before a change that was not kept,
+        // and the undo history from then: the change is gone, not undone.
+        async _revertDisplayChange(previous, history) {
+            return this._queue.run('revert', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.revert.start', { opId });
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    if (!await this._applyHistoryEntry(opId, previous, { confirm: false, record: false })) return;
+                    this._history = history;
+                    updateHistoryItemsInMenu(this);
+                    this._scheduleConfigRefresh(opId, 'toggle.revert.refresh.error');
+                    this._showChangeOsd('edit-undo-symbolic', _('Display settings reverted'));
+                    return true;
+                } finally {
+                    logInfo('toggle.revert.end', { opId });
+                }
+            }, { key: 'revert' });
+        }
+
+        _recordChange(previous) {
+            this._history = recordChange(this._history, previous);
+            updateHistoryItemsInMenu(this);
+        }
+
+        // Apply a history entry on the monitors connected now, re-resolving
+        // identities and mode IDs, and bring back its solo/mirror state.
+        // Returns true when Mutter accepted it.
+        async _applyHistoryEntry(opId, entry, options) {
+            const { logicalMonitors, missing } = buildProfileLayout(entry, this._monitors);
+            logStep(opId, 1, 'history layout resolved', {
+                missing,
+                logicalMonitors: snapshotLogicalMonitors(logicalMonitors),
+            });
+            if (logicalMonitors.length === 0) {
+                logError('toggle.history.no_monitors', { opId, missing });
+                return false;
             }
+            ensurePrimary(logicalMonitors);
+            if (!await this._applyLayout(opId, logicalMonitors, options)) return false;
+
+            this._soloConnector = entry.soloConnector ?? null;
+            this._mirrorConnector = entry.mirrorConnector ?? null;
+            return true;
+        }
+
+        // Undo (`direction` 'undo') or redo ('redo') the last display change.
+        async _stepHistory(direction) {
+            return this._queue.run(direction, async opId => {
+                if (!this._proxy) return;
+                logInfo(`toggle.${direction}.start`, {
+                    opId,
+                    undoDepth: this._history.undo.length,
+                    redoDepth: this._history.redo.length,
+                });
+                try {
+                    if (!await this._getMonitorConfig()) return;
 
-            } finally {
-                this._toggling = false;
-                logInfo('toggle.action.end', { opId, checked: this.checked });
+                    const current = captureHistoryEntry(this._layoutState(), this._soloConnector, this._mirrorConnector);
+                    const step = stepHistory(this._history, direction, current);
+                    if (!step.entry) {
+                        logInfo(`toggle.${direction}.empty`, { opId });
+                        return;
+                    }
+                    if (!await this._applyHistoryEntry(opId, step.entry, { record: false })) return;
+
+                    this._history = step.history;
+                    updateHistoryItemsInMenu(this);
+                    this._scheduleConfigRefresh(opId, `toggle.${direction}.refresh.error`);
+                    if (direction === 'undo')
+                        this._showChangeOsd('edit-undo-symbolic', _('Display change undone'));
+                    else
+                        this._showChangeOsd('edit-redo-symbolic', _('Display change redone'));
+                    return true;
+                } finally {
+                    logInfo(`toggle.${direction}.end`, { opId });
+                }
+            });
+        }
+
+        async _undoDisplayChange() {
+            return this._stepHistory('undo');
+        }
+
+        async _redoDisplayChange() {
+            return this._stepHistory('redo');
+        }
+
+        // Retry action of a failed apply: the same layout again, checked
+        // against the configuration as it is now.
+        async _retryLayout(logicalMonitors, options) {
+            return this._queue.run('retry', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.retry.start', { opId });
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    if (!await this._applyLayout(opId, logicalMonitors, options)) return;
+                    this._scheduleConfigRefresh(opId, 'toggle.retry.refresh.error');
+                    this._showChangeOsd('video-display-symbolic', _('Display layout applied'));
+                    return true;
+                } finally {
+                    logInfo('toggle.retry.end', { opId });
+                }
+            }, { key: 'retry' });
+        }
+
+        // OSD for a display change that went through, unless the
+        // 'feedback-level' setting asks for less.
+        _showChangeOsd(iconName, label) {
+            if (readFeedbackLevel(this._settings) !== 'all') return;
+            showMonitorOsd(iconName, label);
+        }
+
+        // Failure notification with the D-Bus error's message; `retry` runs
+        // from its Retry action.
+        _notifyDisplayError(title, error, retry = null) {
+            if (readFeedbackLevel(this._settings) === 'none') return;
+            if (error instanceof GLib.Error) Gio.DBusError.strip_remote_error(error);
+            notifyDisplayError(title, error?.message ?? `${error}`, retry);
+        }
+
+        _notifyLayoutRejected(problems, error = null, retry = null) {
+            if (readFeedbackLevel(this._settings) === 'none') return;
+            if (error instanceof GLib.Error) Gio.DBusError.strip_remote_error(error);
+            notifyLayoutRejected(problems,
+                connector => this._getMonitorDisplayName(connector, 'short'),
+                error ? error.message : null, retry);
+        }
+
+        async _applyProfile(name) {
+            return this._queue.run('apply-profile', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.profile.apply.start', { opId, name });
+                try {
+                    if (!await this._getMonitorConfig()) return;
+
+                    const profile = readProfiles(this._settings).find(p => p.name === name);
+                    if (!profile) {
+                        logError('toggle.profile.apply.abort', { opId, name, reason: 'profile not found' });
+                        return;
+                    }
+
+                    const { logicalMonitors, missing } = buildProfileLayout(profile, this._monitors);
+                    logStep(opId, 1, 'profile layout resolved', {
+                        name,
+                        missing,
+                        logicalMonitors: snapshotLogicalMonitors(logicalMonitors),
+                    });
+                    if (logicalMonitors.length === 0) {
+                        logError('toggle.profile.apply.abort', { opId, name, reason: 'no matching monitors' });
+                        return;
+                    }
+
+                    ensurePrimary(logicalMonitors);
+
+                    if (!await this._applyLayout(opId, logicalMonitors)) return;
+                    this._scheduleConfigRefresh(opId, 'toggle.profile.refresh.error');
+                    this._showChangeOsd('video-display-symbolic', _('Profile “%s” applied').format(name));
+                    return true;
+                } finally {
+                    logInfo('toggle.profile.apply.end', { opId, name });
+                }
+            }, { key: 'apply-profile' });
+        }
+
+        async _saveProfile(name) {
+            if (!name) return;
+            return this._queue.run('save-profile', async opId => {
+                if (!this._proxy) return;
+                if (!await this._getMonitorConfig(opId)) return;
+
+                // GetCurrentState lists monitors by (connector, vendor,
+                // product, serial); profiles need their current modes.
+                const logicalMonitors = buildCurrentLayout(this._layoutState());
+                const profile = captureProfile(name, this._monitors, logicalMonitors);
+                writeProfiles(this._settings, upsertProfile(readProfiles(this._settings), profile));
+                logInfo('toggle.profile.saved', {
+                    opId,
+                    name,
+                    logicalMonitors: snapshotLogicalMonitors(logicalMonitors),
+                });
+            });
+        }
+
+        _deleteProfile(name) {
+            writeProfiles(this._settings, removeProfile(readProfiles(this._settings), name));
+            logInfo('toggle.profile.deleted', { name });
+        }
+
+        _showSaveProfileDialog() {
+            if (!this._proxy) return;
+            // The pending "Keep these display settings?" decision comes first;
+            // the layout to save is not settled until then.
+            if (this._keepSettingsDialog) {
+                logInfo('toggle.dialog.save_profile.refused', { reason: 'keep-settings-pending' });
+                return;
             }
+            if (this._saveProfileDialog) {
+                this._saveProfileDialog.close();
+                this._saveProfileDialog = null;
+            }
+
+            const dialog = new ModalDialog({
+                styleClass: 'modal-dialog',
+                destroyOnClose: true,
+            });
+            this._saveProfileDialog = dialog;
+            dialog.connect('destroy', () => {
+                if (this._saveProfileDialog === dialog)
+                    this._saveProfileDialog = null;
+            });
+
+            dialog.contentLayout.add_child(new St.Label({
+                text: _('Save current layout as profile'),
+                style_class: 'message-dialog-title',
+            }));
+            const entry = new St.Entry({
+                hint_text: _('Profile name'),
+                can_focus: true,
+                style_class: 'profile-name-entry',
+            });
+            dialog.contentLayout.add_child(entry);
+            dialog.setInitialKeyFocus(entry);
+
+            const save = () => {
+                const name = entry.get_text().trim();
+                if (!name) return;
+                dialog.close();
+                this._saveProfile(name).catch(e =>
+                    logError('toggle.profile.save.unhandled_error', {
+                        name,
+                        error: `${e}`,
+                    })
+                );
+            };
+            entry.clutter_text.connect('activate', save);
+
+            dialog.addButton({
+                label: _('Cancel'),
+                action: () => dialog.close(),
+                key: Clutter.KEY_Escape,
+            });
+            dialog.addButton({
+                label: _('Save'),
+                action: save,
+                default: true,
+            });
+
+            dialog.open();
         }
 
         _showMakePrimaryDialog(connector) {
@@ -616,7 +1550,7 @@ export const SecondMonitorToggle = GObject.registerClass(
             });
 
             const label = new St.Label({
-                text: `Make "${displayName}" the primary monitor?`,
+                text: _('Make “%s” the primary monitor?').format(displayName),
                 style_class: 'message-dialog-title',
             });
             dialog.contentLayout.add_child(label);
@@ -655,62 +1589,143 @@ export const SecondMonitorToggle = GObject.registerClass(
         }
 
         async _makePrimary(connector) {
-            if (!this._proxy) return;
-            const opId = nextOpId('make-primary');
-            logInfo('toggle.make_primary.start', { opId, connector });
-
-            await this._getMonitorConfig();
-            if (!this._proxy) return;
-
-            // Build layout from current state, just swap the primary flag.
-            const finalLms = this._logicalMonitors.map(lm => {
-                const conn = lm[5][0]?.[0];
-                const modeId = this._resolveModeId(conn);
-                if (!modeId) return null;
-                const isTarget = lm[5].some(m => m[0] === connector);
-                return [lm[0], lm[1], lm[2], lm[3], isTarget,
-                    [[conn, modeId, {}]], {}];
-            }).filter(lm => lm !== null);
-
-            if (finalLms.length === 0) return;
-
-            const positioned = normalizePositions(finalLms);
-            logStep(opId, 1, 'layout for primary swap', {
-                positioned: snapshotLogicalMonitors(positioned),
-            });
-
-            const propertiesToApply = {};
-            if (this._supportsChangingLayoutMode) {
-                propertiesToApply['layout-mode'] = new GLib.Variant('u', this._layoutMode);
-            }
+            return this._queue.run('make-primary', async opId => {
+                if (!this._proxy) return;
+                logInfo('toggle.make_primary.start', { opId, connector });
+                try {
+                    if (!await this._getMonitorConfig(opId)) return;
+
+                    const state = this._layoutState();
+                    const finalLms = buildPrimaryLayout(state, connector);
+                    if (finalLms.length === 0) return;
+                    const oldPrimary = state.logicalMonitors.find(lm => lm[4])?.[5][0]?.[0] ?? null;
+                    logStep(opId, 1, 'layout for primary swap', {
+                        oldPrimary,
+                        originalPrimary: this._originalPrimary,
+                        logicalMonitors: snapshotLogicalMonitors(finalLms),
+                    });
 
-            const proxy = this._proxy;
-            if (!proxy) return;
-            try {
-                await proxy.ApplyMonitorsConfigAsync(
-                    this._serial, this._persistenceMode,
-                    positioned, propertiesToApply
-                );
-                if (this._proxy !== proxy) return;
-                logInfo('toggle.make_primary.apply.success', { opId });
-                this._scheduleConfigRefresh(opId, 'toggle.make_primary.refresh.error');
-            } catch (e) {
-                if (this._proxy !== proxy) return;
-                logError('toggle.make_primary.apply.error', {
-                    opId, connector, error: `${e}`,
-                    positioned: snapshotLogicalMonitors(positioned),
-                });
-            }
+                    // Validated, verified and confirmed like every other change.
+                    if (!await this._applyLayout(opId, finalLms)) return;
+
+                    // Remember the first primary given up, to hand it back later.
+                    if (connector === this._originalPrimary)
+                        this._originalPrimary = null;
+                    else if (!this._originalPrimary && oldPrimary !== connector)
+                        this._originalPrimary = oldPrimary;
+                    this._scheduleConfigRefresh(opId, 'toggle.make_primary.refresh.error');
+                    this._showChangeOsd('video-display-symbolic',
+                        _('%s is now the primary display').format(this._getMonitorDisplayName(connector, 'long')));
+                    return true;
+                } finally {
+                    logInfo('toggle.make_primary.end', { opId, connector });
+                }
+            }, { key: 'make-primary' });
         }
 
+        // Enter the Retry state: the toggle stays clickable, but a click (or
+        // the menu's Retry item) retries instead of toggling, and retries run
+        // on their own with exponential backoff until one succeeds.
         _disableToggle(reason = 'unknown') {
             if (!this._proxy) return;
             this.checked = false;
-            this.sensitive = false;
+            this._unavailableReason = reason;
             logError('toggle.disabled', {
                 instanceId: this._instanceId,
                 reason,
+                recoveryAttempt: this._recoveryAttempt,
+            });
+            if (this._menuInitiallyBuilt) updateRecoveryStateInMenu(this);
+            else buildMonitorMenu(this);
+            this._scheduleRecovery();
+        }
+
+        _scheduleRecovery() {
+            const delayMs = Math.min(
+                RECOVERY_INITIAL_DELAY_MS * 2 ** this._recoveryAttempt, RECOVERY_MAX_DELAY_MS);
+            this._recoveryAttempt++;
+            logInfo('toggle.recovery.scheduled', {
+                instanceId: this._instanceId,
+                reason: this._unavailableReason,
+                attempt: this._recoveryAttempt,
+                delayMs,
+            });
+            this._resetTimeout('_recoveryTimeoutId', delayMs, () => {
+                this._recover('backoff').catch(e =>
+                    logError('toggle.recovery.unhandled_error', { error: `${e}` })
+                );
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        // One recovery attempt: a new proxy when the old one never connected
+        // or lost Mutter, otherwise a fresh GetCurrentState. Success leaves the
+        // Retry state from _getMonitorConfig(); failure schedules the next try.
+        async _recover(trigger) {
+            if (!this._proxy || !this._unavailableReason) return;
+            this._clearTimeout('_recoveryTimeoutId');
+            return this._queue.run('recover', async opId => {
+                if (!this._proxy || !this._unavailableReason) return;
+                logInfo('toggle.recovery.attempt', {
+                    opId,
+                    instanceId: this._instanceId,
+                    trigger,
+                    reason: this._unavailableReason,
+                    attempt: this._recoveryAttempt,
+                });
+                if (this._unavailableReason === 'proxy-init-error' || !this._proxy.g_name_owner) {
+                    this._initProxy();
+                    return;
+                }
+                await this._getMonitorConfig(opId);
+            }, { key: 'recover' });
+        }
+
+        _retryFromNotification() {
+            this._recover('notification').catch(e =>
+                logError('toggle.recovery.unhandled_error', { error: `${e}` })
+            );
+        }
+
+        _markRecovered(opId) {
+            logInfo('toggle.recovery.done', {
+                opId,
+                reason: this._unavailableReason,
+                attempts: this._recoveryAttempt,
             });
+            this._unavailableReason = null;
+            this._recoveryAttempt = 0;
+            this._clearTimeout('_recoveryTimeoutId');
+            updateRecoveryStateInMenu(this);
+        }
+
+        // Mutter restarting or handing DisplayConfig to another process gives
+        // the name a new owner, which the old proxy no longer talks to.
+        _watchDisplayConfig() {
+            this._nameWatchId = Gio.bus_watch_name(
+                Gio.BusType.SESSION,
+                DISPLAY_CONFIG_BUS_NAME,
+                Gio.BusNameWatcherFlags.NONE,
+                (connection, name, owner) => {
+                    const previousOwner = this._displayConfigOwner;
+                    this._displayConfigOwner = owner;
+                    logInfo('toggle.display_config.appeared', {
+                        instanceId: this._instanceId,
+                        owner,
+                        previousOwner,
+                    });
+                    if (!this._proxy) return;
+                    if ((previousOwner && previousOwner !== owner) || this._unavailableReason)
+                        this._initProxy();
+                },
+                () => {
+                    logInfo('toggle.display_config.vanished', {
+                        instanceId: this._instanceId,
+                        owner: this._displayConfigOwner,
+                    });
+                    if (this._displayConfigOwner) this._disableToggle('display-config-vanished');
+                }
+            );
         }
 
         destroy() {
@@ -719,21 +1734,59 @@ export const SecondMonitorToggle = GObject.registerClass(
                 hasConfigRefreshTimeout: !!this._configRefreshTimeoutId,
                 hasPrimaryDialogTimeout: !!this._primaryDialogTimeoutId,
                 hasPrimaryDialogOpen: !!this._makePrimaryDialog,
+                hasKeepSettingsDialogOpen: !!this._keepSettingsDialog,
                 hasMonitorSignal: !!this._monitorsChangedId,
                 hasClickedSignal: !!this._clickedId,
             });
             const proxy = this._proxy;
             this._proxy = null;
+            this._queue.destroy();
+            removeKeybindings();
+            destroyNotifications();
+            if (this._nameWatchId) {
+                Gio.bus_unwatch_name(this._nameWatchId);
+                this._nameWatchId = null;
+            }
+            if (this._dbusService) {
+                this._dbusService.destroy();
+                this._dbusService = null;
+            }
             if (this._clickedId) {
                 this.disconnect(this._clickedId);
                 this._clickedId = null;
             }
             this._clearTimeout('_configRefreshTimeoutId');
             this._clearTimeout('_primaryDialogTimeoutId');
+            this._clearTimeout('_keepSettingsTimeoutId');
+            this._clearTimeout('_recoveryTimeoutId');
+            this._clearTimeout('_rulesTimerId');
+            this._disconnectUPower();
+            this._ruleState = null;
             if (this._makePrimaryDialog) {
                 this._makePrimaryDialog.close();
                 this._makePrimaryDialog = null;
             }
+            if (this._saveProfileDialog) {
+                this._saveProfileDialog.close();
+                this._saveProfileDialog = null;
+            }
+            if (this._keepSettingsDialog) {
+                this._keepSettingsDialog.close();
+                this._keepSettingsDialog = null;
+            }
+            if (this._settings) {
+                for (const id of [
+                    this._profilesChangedId,
+                    this._modeSettingChangedId,
+                    this._snapshotChangedId,
+                    ...this._selectionChangedIds,
+                ])
+                    this._settings.disconnect(id);
+            }
+            this._profilesChangedId = null;
+            this._modeSettingChangedId = null;
+            this._snapshotChangedId = null;
+            this._selectionChangedIds = [];
             if (this._monitorsChangedId && proxy) {
                 proxy.disconnectSignal(this._monitorsChangedId);
                 this._monitorsChangedId = null;
@@ -741,10 +1794,14 @@ export const SecondMonitorToggle = GObject.registerClass(
             this._indicator = null;
             this._settings = null;
             this._monitor = null;
+            this._monitorGroup = [];
+            this._soloConnector = null;
+            this._mirrorConnector = null;
             this._monitors = [];
             this._logicalMonitors = [];
             this._properties = {};
             this._snapshot = {};
+            this._snapshotHardware = null;
             super.destroy();
             logInfo('toggle.destroy.done', {
                 instanceId: this._instanceId,
@@ -1,66 +1,269 @@
 import GLib from 'gi://GLib';
-import Gio from 'gi://Gio';
 
-export function loadMonitorConfigFromMonitorsXML(connectorName) {
-    const path = GLib.get_home_dir() + '/.config/monitors.xml';
-    const file = Gio.File.new_for_path(path);
+import { logError } from './logger.js';
+import { identityFromSpec } from './monitorIdentity.js';
 
-    if (!file.query_exists(null)) {
-        return null;
-    }
+// Reader for Mutter's ~/.config/monitors.xml (version 2):
+//
+//   <monitors version="2">
+//     <configuration>
+//       <layoutmode>logical</layoutmode>
+//       <logicalmonitor>
+//         <x>0</x> <y>0</y> <scale>1</scale> <primary>yes</primary>
+//         <transform><rotation>left</rotation><flipped>no</flipped></transform>
+//         <monitor>
+//           <monitorspec>connector, vendor, product, serial</monitorspec>
+//           <mode><width/><height/><rate/></mode>
+//         </monitor>
+//       </logicalmonitor>
+//       <disabled><monitorspec>...</monitorspec></disabled>
+//     </configuration>
+//   </monitors>
+//
+// Configurations come back as plain objects:
+//   { layoutMode, logicalMonitors: [{ x, y, scale, transform, primary,
+//     monitors: [{ spec, mode }] }], disabled: [spec] }
+// where spec is { connector, vendor, product, serial } and mode is
+// { width, height, rate, interlaced } or null.
 
-    try {
-        const [ok, contentsBytes] = GLib.file_get_contents(path);
-        if (!ok || !contentsBytes) {
-            return null;
+// Index = Mutter transform modulo 4; +4 when <flipped> is yes.
+export const ROTATIONS = ['normal', 'left', 'upside-down', 'right'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-z]+);/g, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
         }
-        const contents = new TextDecoder().decode(contentsBytes); 
-
-        const configurationsRegex = /<configuration>([\s\S]*?)<\/configuration>/gm;
-        let configurationMatch;
-        let iteration = 0;
-
-        while ((configurationMatch = configurationsRegex.exec(contents)) !== null) {
-            iteration++;
-            const currentConfigurationContent = configurationMatch[1];
-
-            const logicalMonitorRegex = /<logicalmonitor>([\s\S]*?)<\/logicalmonitor>/gm;
-            let logicalMonitorMatch;
-            while ((logicalMonitorMatch = logicalMonitorRegex.exec(currentConfigurationContent)) !== null) {
-                const logicalMonitorContent = logicalMonitorMatch[1];
-    
-                const connectorRegex = new RegExp(`<connector>${connectorName}</connector>`);
-                if (connectorRegex.test(logicalMonitorContent)) {
-                    const xMatch = /<x>([-\d]+)<\/x>/.exec(logicalMonitorContent);
-                    const yMatch = /<y>([-\d]+)<\/y>/.exec(logicalMonitorContent);
-                    const scaleMatch = /<scale>([0-9\.]+)<\/scale>/.exec(logicalMonitorContent);
-                    const rotationMatch = /<rotation>(normal|left|right|upside-down)<\/rotation>/.exec(logicalMonitorContent);
-                    
-                    let transformValue = 0; 
-                    if (rotationMatch) {
-                        switch (rotationMatch[1]) {
-                            case 'normal': transformValue = 0; break;
-                            case 'left': transformValue = 1; break;
-                            case 'upside-down': transformValue = 2; break;
-                            case 'right': transformValue = 3; break;
-                        }
-                    }
-                    
-                    if (xMatch && yMatch && scaleMatch) {
-                        const config = {
-                            x: parseInt(xMatch[1], 10),
-                            y: parseInt(yMatch[1], 10),
-                            scale: parseFloat(scaleMatch[1]),
-                            transform: transformValue,
-                        };
-                        return config; 
-                    }
-                }
+        return ENTITIES[name] ?? match;
+    });
+}
+
+// Minimal non-validating XML parser: elements, attributes, text, CDATA;
+// comments, processing instructions and doctypes are skipped. Returns the
+// root element as { name, attributes, children, text }.
+function parseXml(source) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let pos = 0;
+
+    while (pos < source.length) {
+        const lt = source.indexOf('<', pos);
+        const textEnd = lt === -1 ? source.length : lt;
+        if (textEnd > pos)
+            stack[stack.length - 1].text += decodeEntities(source.slice(pos, textEnd));
+        if (lt === -1) break;
+
+        if (source.startsWith('<!--', lt)) {
+            const end = source.indexOf('-->', lt + 4);
+            if (end === -1) throw new Error('Unterminated comment');
+            pos = end + 3;
+        } else if (source.startsWith('<![CDATA[', lt)) {
+            const end = source.indexOf(']]>', lt + 9);
+            if (end === -1) throw new Error('Unterminated CDATA section');
+            stack[stack.length - 1].text += source.slice(lt + 9, end);
+            pos = end + 3;
+        } else if (source.startsWith('<?', lt) || source.startsWith('<!', lt)) {
+            const end = source.indexOf('>', lt);
+            if (end === -1) throw new Error('Unterminated declaration');
+            pos = end + 1;
+        } else {
+            const end = source.indexOf('>', lt);
+            if (end === -1) throw new Error('Unterminated tag');
+            const tag = source.slice(lt + 1, end);
+            pos = end + 1;
+
+            if (tag.startsWith('/')) {
+                const name = tag.slice(1).trim();
+                const open = stack.pop();
+                if (stack.length === 0 || open.name !== name)
+                    throw new Error(`Unexpected closing tag </${name}>`);
+                continue;
             }
+
+            const selfClosing = tag.endsWith('/');
+            const body = selfClosing ? tag.slice(0, -1) : tag;
+            const nameMatch = /^\s*([^\s/>]+)/.exec(body);
+            if (!nameMatch) throw new Error('Empty tag name');
+            const element = { name: nameMatch[1], attributes: {}, children: [], text: '' };
+            const attrRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+            let attr;
+            while ((attr = attrRegex.exec(body.slice(nameMatch[0].length))) !== null)
+                element.attributes[attr[1]] = decodeEntities(attr[3] ?? attr[4]);
+
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) stack.push(element);
         }
-        return null;
+    }
+
+    if (stack.length !== 1) throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    const rootElement = root.children[0];
+    if (!rootElement) throw new Error('No root element');
+    return rootElement;
+}
+
+function child(element, name) {
+    return element?.children.find(c => c.name === name) ?? null;
+}
+
+function children(element, name) {
+    return element ? element.children.filter(c => c.name === name) : [];
+}
+
+function childText(element, name) {
+    const c = child(element, name);
+    return c ? c.text.trim() : null;
+}
+
+function parseNumber(value, fallback) {
+    const n = Number(value);
+    return value !== null && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+function parseSpec(element) {
+    if (!element) return null;
+    return {
+        connector: childText(element, 'connector') ?? '',
+        vendor: childText(element, 'vendor') ?? '',
+        product: childText(element, 'product') ?? '',
+        serial: childText(element, 'serial') ?? '',
+    };
+}
+
+function parseMode(element) {
+    if (!element) return null;
+    return {
+        width: parseNumber(childText(element, 'width'), 0),
+        height: parseNumber(childText(element, 'height'), 0),
+        rate: parseNumber(childText(element, 'rate'), 0),
+        interlaced: children(element, 'flag').some(f => f.text.trim() === 'interlace'),
+    };
+}
+
+// <rotation> + <flipped> → Mutter transform 0-7.
+function parseTransform(element) {
+    if (!element) return 0;
+    const rotation = Math.max(0, ROTATIONS.indexOf(childText(element, 'rotation') ?? 'normal'));
+    return childText(element, 'flipped') === 'yes' ? rotation + 4 : rotation;
+}
+
+function parseLogicalMonitor(element) {
+    return {
+        x: parseNumber(childText(element, 'x'), 0),
+        y: parseNumber(childText(element, 'y'), 0),
+        scale: parseNumber(childText(element, 'scale'), 1.0),
+        transform: parseTransform(child(element, 'transform')),
+        primary: childText(element, 'primary') === 'yes',
+        monitors: children(element, 'monitor').map(m => ({
+            spec: parseSpec(child(m, 'monitorspec')),
+            mode: parseMode(child(m, 'mode')),
+        })).filter(m => m.spec),
+    };
+}
+
+// Parse monitors.xml text. Throws on malformed XML.
+// Returns { version, configurations }.
+export function parseMonitorsXml(text) {
+    const root = parseXml(text);
+    if (root.name !== 'monitors') throw new Error(`Unexpected root element <${root.name}>`);
+
+    const configurations = children(root, 'configuration').map(conf => ({
+        layoutMode: childText(conf, 'layoutmode') === 'physical' ? 2 : 1,
+        logicalMonitors: children(conf, 'logicalmonitor').map(parseLogicalMonitor),
+        disabled: children(conf, 'disabled')
+            .flatMap(d => children(d, 'monitorspec'))
+            .map(parseSpec),
+    }));
+    return { version: parseInt(root.attributes.version ?? '1', 10), configurations };
+}
+
+export function monitorsXmlPath() {
+    return GLib.build_filenamev([GLib.get_user_config_dir(), 'monitors.xml']);
+}
+
+// Configurations from the user's monitors.xml; empty when missing or broken.
+export function readMonitorsXml(path = monitorsXmlPath()) {
+    if (!GLib.file_test(path, GLib.FileTest.EXISTS)) return [];
+    try {
+        const [ok, contentsBytes] = GLib.file_get_contents(path);
+        if (!ok || !contentsBytes) return [];
+        return parseMonitorsXml(new TextDecoder().decode(contentsBytes)).configurations;
     } catch (e) {
-        console.error(`Error processing monitors.xml for ${connectorName}: ${e}`);
-        return null;
+        logError('xml.read.error', { path, error: `${e}` });
+        return [];
     }
 }
+
+function specIdentity(spec) {
+    return identityFromSpec(spec.vendor, spec.product, spec.serial);
+}
+
+// Does a monitorspec describe the physical monitor with this (ssss) spec?
+// EDID identity when both sides have one, connector name otherwise.
+export function specMatchesMonitor(spec, monitorSpec, byIdentity = true) {
+    const [connector, vendor, product, serial] = monitorSpec;
+    const identity = identityFromSpec(vendor, product, serial);
+    if (byIdentity && identity && specIdentity(spec))
+        return specIdentity(spec) === identity;
+    return spec.connector === connector;
+}
+
+function configurationSpecs(configuration) {
+    return [
+        ...configuration.logicalMonitors.flatMap(lm => lm.monitors.map(m => m.spec)),
+        ...configuration.disabled,
+    ];
+}
+
+// The configuration Mutter stored for exactly this set of connected
+// monitors (GetCurrentState physical monitors), or null. Exact
+// connector+identity matches win over identity-only ones.
+export function findConfigurationForMonitors(configurations, monitors) {
+    const sameSet = (configuration, byConnector) => {
+        const specs = configurationSpecs(configuration);
+        if (specs.length !== monitors.length) return false;
+        return monitors.every(m => specs.some(spec =>
+            specMatchesMonitor(spec, m[0]) && (!byConnector || spec.connector === m[0][0])
+        ));
+    };
+    return configurations.find(c => sameSet(c, true)) ??
+        configurations.find(c => sameSet(c, false)) ??
+        null;
+}
+
+function placementFrom(configuration, lm, monitor) {
+    return {
+        x: lm.x,
+        y: lm.y,
+        scale: lm.scale,
+        transform: lm.transform,
+        primary: lm.primary,
+        mode: monitor.mode,
+        layoutMode: configuration.layoutMode,
+        configuration,
+    };
+}
+
+function findPlacementIn(configurations, monitorSpec, byIdentity) {
+    for (const configuration of configurations) {
+        for (const lm of configuration.logicalMonitors) {
+            const monitor = lm.monitors.find(m => specMatchesMonitor(m.spec, monitorSpec, byIdentity));
+            if (monitor) return placementFrom(configuration, lm, monitor);
+        }
+    }
+    return null;
+}
+
+// Saved placement { x, y, scale, transform, primary, mode, layoutMode,
+// configuration } for one monitor, with the configuration it came from so
+// its position can be taken relative to the other monitors. The
+// configuration matching the connected hardware is tried first, then any
+// configuration by identity, then by connector name.
+export function findSavedPlacement(configurations, monitorSpec, monitors = null) {
+    const matching = monitors ? findConfigurationForMonitors(configurations, monitors) : null;
+    return (matching && findPlacementIn([matching], monitorSpec, true)) ??
+        findPlacementIn(configurations, monitorSpec, true) ??
+        findPlacementIn(configurations, monitorSpec, false);
+}
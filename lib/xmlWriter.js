@@ -0,0 +1,77 @@
+// Writer for monitors.xml (version 2), the inverse of parseMonitorsXml() in
+// xmlReader.js. Takes configurations in the same plain-object shape:
+//   { layoutMode, logicalMonitors: [{ x, y, scale, transform, primary,
+//     monitors: [{ spec, mode }] }], disabled: [spec] }
+
+import { ROTATIONS } from './xmlReader.js';
+
+function escapeXml(value) {
+    return `${value}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function element(indent, name, value) {
+    return `${indent}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function writeSpec(lines, indent, spec) {
+    lines.push(`${indent}<monitorspec>`);
+    lines.push(element(`${indent}  `, 'connector', spec.connector));
+    lines.push(element(`${indent}  `, 'vendor', spec.vendor));
+    lines.push(element(`${indent}  `, 'product', spec.product));
+    lines.push(element(`${indent}  `, 'serial', spec.serial));
+    lines.push(`${indent}</monitorspec>`);
+}
+
+function writeLogicalMonitor(lines, lm) {
+    lines.push('    <logicalmonitor>');
+    lines.push(element('      ', 'x', lm.x));
+    lines.push(element('      ', 'y', lm.y));
+    lines.push(element('      ', 'scale', lm.scale));
+    if (lm.primary)
+        lines.push(element('      ', 'primary', 'yes'));
+    if (lm.transform) {
+        lines.push('      <transform>');
+        lines.push(element('        ', 'rotation', ROTATIONS[lm.transform % 4]));
+        lines.push(element('        ', 'flipped', lm.transform >= 4 ? 'yes' : 'no'));
+        lines.push('      </transform>');
+    }
+    for (const monitor of lm.monitors) {
+        lines.push('      <monitor>');
+        writeSpec(lines, '        ', monitor.spec);
+        if (monitor.mode) {
+            lines.push('        <mode>');
+            lines.push(element('          ', 'width', monitor.mode.width));
+            lines.push(element('          ', 'height', monitor.mode.height));
+            lines.push(element('          ', 'rate', monitor.mode.rate));
+            if (monitor.mode.interlaced)
+                lines.push(element('          ', 'flag', 'interlace'));
+            lines.push('        </mode>');
+        }
+        lines.push('      </monitor>');
+    }
+    lines.push('    </logicalmonitor>');
+}
+
+export function serializeMonitorsXml(configurations) {
+    const lines = ['<monitors version="2">'];
+    for (const configuration of configurations) {
+        lines.push('  <configuration>');
+        lines.push(element('    ', 'layoutmode', configuration.layoutMode === 2 ? 'physical' : 'logical'));
+        for (const lm of configuration.logicalMonitors)
+            writeLogicalMonitor(lines, lm);
+        if (configuration.disabled.length > 0) {
+            lines.push('    <disabled>');
+            for (const spec of configuration.disabled)
+                writeSpec(lines, '      ', spec);
+            lines.push('    </disabled>');
+        }
+        lines.push('  </configuration>');
+    }
+    lines.push('</monitors>');
+    return `${lines.join('\n')}\n`;
+}
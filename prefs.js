@@ -0,0 +1,460 @@
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import Gtk from 'gi://Gtk';
+import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import { DisplayConfigProxy, PERSISTENT_MODE } from './lib/dbusService.js';
+import { encodeMonitorRef, findMonitorByRef, monitorIdentity, parseMonitorRef } from './lib/monitorIdentity.js';
+import { PLACEMENT_ALIGNMENTS, PLACEMENT_SIDES } from './lib/placement.js';
+import { readProfiles, removeProfile, writeProfiles } from './lib/profiles.js';
+import { isValidRule } from './lib/rules.js';
+import { clearSnapshot, readSnapshots, writeEditedSnapshots } from './lib/snapshot.js';
+
+// Same rule as SecondMonitorToggle._init: anything but 1 or 2 means persistent.
+function readPersistenceMode(settings) {
+    const mode = settings.get_int('mode-setting');
+    return (mode === 1 || mode === 2) ? mode : PERSISTENT_MODE;
+}
+
+function monitorTitle(monitor) {
+    const [connector, vendor, product] = monitor[0];
+    return product ? `${vendor} ${product} (${connector})`.trim() : connector;
+}
+
+function createJsonEditor(text) {
+    const buffer = new Gtk.TextBuffer({ text });
+    const view = new Gtk.TextView({
+        buffer,
+        monospace: true,
+        wrap_mode: Gtk.WrapMode.WORD_CHAR,
+        top_margin: 6,
+        bottom_margin: 6,
+        left_margin: 6,
+        right_margin: 6,
+    });
+    const scrolled = new Gtk.ScrolledWindow({
+        child: view,
+        min_content_height: 160,
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+    });
+    scrolled.add_css_class('card');
+    return { buffer, widget: scrolled };
+}
+
+function bufferText(buffer) {
+    return buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false);
+}
+
+function createButtonRow(buttons) {
+    const box = new Gtk.Box({
+        spacing: 6,
+        halign: Gtk.Align.END,
+        margin_top: 6,
+    });
+    for (const [label, cssClass, callback] of buttons) {
+        const button = new Gtk.Button({ label });
+        if (cssClass) button.add_css_class(cssClass);
+        button.connect('clicked', callback);
+        box.append(button);
+    }
+    return box;
+}
+
+function showToast(window, title) {
+    window.add_toast(new Adw.Toast({ title, timeout: 3 }));
+}
+
+export default class DualMonitorPreferences extends ExtensionPreferences {
+    fillPreferencesWindow(window) {
+        const settings = this.getSettings();
+        window._settings = settings;
+        window.set_default_size(640, 720);
+
+        window.add(this._buildGeneralPage(settings));
+        window.add(this._buildMonitorsPage(window, settings));
+        window.add(this._buildShortcutsPage(settings));
+        window.add(this._buildSavedStatePage(window, settings));
+    }
+
+    _buildGeneralPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('General'),
+            icon_name: 'preferences-system-symbolic',
+        });
+
+        const group = new Adw.PreferencesGroup({ title: _('Behaviour') });
+        page.add(group);
+
+        const modeRow = new Adw.ComboRow({
+            title: _('Configuration mode'),
+            subtitle: _('Temporary changes reset on reboot; persistent changes are saved.'),
+            model: Gtk.StringList.new([_('Temporary'), _('Persistent')]),
+            selected: readPersistenceMode(settings) - 1,
+        });
+        modeRow.connect('notify::selected', () => {
+            settings.set_int('mode-setting', modeRow.selected + 1);
+        });
+        settings.connect('changed::mode-setting', () => {
+            modeRow.selected = readPersistenceMode(settings) - 1;
+        });
+        group.add(modeRow);
+
+        group.add(this._createChoiceRow(settings, 'primary-on-enable', ['ask', 'always', 'never'], {
+            title: _('Primary display after turning a monitor on'),
+            subtitle: _('The previous primary comes back when the monitor is turned off again.'),
+            labels: [_('Ask'), _('Make it primary'), _('Keep the current primary')],
+        }));
+
+        group.add(this._createChoiceRow(settings, 'feedback-level', ['all', 'errors', 'none'], {
+            title: _('Feedback on display changes'),
+            subtitle: _('On-screen messages for changes, notifications with a Retry action for failures.'),
+            labels: [_('Messages and notifications'), _('Only failures'), _('None')],
+        }));
+
+        const debugGroup = new Adw.PreferencesGroup({ title: _('Troubleshooting') });
+        page.add(debugGroup);
+
+        const debugRow = new Adw.SwitchRow({
+            title: _('Debug logging'),
+            subtitle: _('Write detailed structured logs to the journal.'),
+        });
+        settings.bind('debug-logging', debugRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        debugGroup.add(debugRow);
+
+        return page;
+    }
+
+    _buildMonitorsPage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Monitors'),
+            icon_name: 'video-display-symbolic',
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Connected monitors'),
+            description: _('The selected monitor is controlled by the quick toggle. Checked monitors are toggled together.'),
+        });
+        page.add(group);
+
+        const placeholder = new Adw.ActionRow({ title: _('Loading…') });
+        group.add(placeholder);
+
+        const selectedRow = new Adw.EntryRow({
+            title: _('Stored selection'),
+            text: settings.get_string('monitor-setting'),
+            show_apply_button: true,
+        });
+        selectedRow.connect('apply', () => {
+            settings.set_string('monitor-setting', selectedRow.text.trim());
+        });
+
+        const placementGroup = new Adw.PreferencesGroup({
+            title: _('Placement'),
+            description: _('Where a monitor goes when it is turned on without a saved layout for it.'),
+        });
+        page.add(placementGroup);
+
+        placementGroup.add(this._createChoiceRow(settings, 'placement-side', PLACEMENT_SIDES, {
+            title: _('Side'),
+            subtitle: _('Automatic uses the position from monitors.xml, or the right.'),
+            labels: [_('Automatic'), _('Right'), _('Left'), _('Above'), _('Below')],
+        }));
+        placementGroup.add(this._createChoiceRow(settings, 'placement-alignment', PLACEMENT_ALIGNMENTS, {
+            title: _('Alignment'),
+            subtitle: _('Along the shared edge.'),
+            labels: [_('Top or left'), _('Center'), _('Bottom or right')],
+        }));
+        const anchorRow = new Adw.ComboRow({
+            title: _('Next to'),
+            model: Gtk.StringList.new([_('Whole layout')]),
+            sensitive: false,
+        });
+        placementGroup.add(anchorRow);
+
+        const storedGroup = new Adw.PreferencesGroup({ title: _('Stored selection') });
+        storedGroup.add(selectedRow);
+        storedGroup.add(createButtonRow([
+            [_('Clear'), null, () => {
+                settings.reset('monitor-setting');
+                settings.reset('monitor-group');
+                selectedRow.text = '';
+                showToast(window, _('Monitor selection cleared'));
+            }],
+        ]));
+        page.add(storedGroup);
+
+        const proxy = new DisplayConfigProxy(
+            Gio.DBus.session,
+            'org.gnome.Mutter.DisplayConfig',
+            '/org/gnome/Mutter/DisplayConfig',
+            (p, error) => {
+                if (error) {
+                    placeholder.title = _('Could not read monitors from Mutter');
+                    placeholder.subtitle = `${error}`;
+                    return;
+                }
+                p.GetCurrentStateAsync().then(([, monitors, logicalMonitors]) => {
+                    group.remove(placeholder);
+                    this._fillMonitorRows(group, settings, monitors, logicalMonitors, selectedRow);
+                    this._fillAnchorRow(anchorRow, settings, monitors);
+                }).catch(e => {
+                    placeholder.title = _('Could not read monitors from Mutter');
+                    placeholder.subtitle = `${e}`;
+                });
+            }
+        );
+        window._displayConfigProxy = proxy;
+
+        return page;
+    }
+
+    _fillMonitorRows(group, settings, monitors, logicalMonitors, selectedRow) {
+        if (monitors.length === 0) {
+            group.add(new Adw.ActionRow({ title: _('No monitors found') }));
+            return;
+        }
+
+        let firstRadio = null;
+        const selected = findMonitorByRef(monitors, parseMonitorRef(settings.get_string('monitor-setting')));
+        const groupRefs = settings.get_strv('monitor-group').map(parseMonitorRef);
+
+        for (const monitor of monitors) {
+            const connector = monitor[0][0];
+            const active = logicalMonitors.some(lm => lm[5].some(m => m[0] === connector));
+            const identity = monitorIdentity(monitor);
+
+            const row = new Adw.ActionRow({
+                title: monitorTitle(monitor),
+                subtitle: [
+                    active ? _('Active') : _('Off'),
+                    identity ? identity.replaceAll('|', ' · ') : null,
+                ].filter(Boolean).join(' — '),
+            });
+
+            const radio = new Gtk.CheckButton({
+                valign: Gtk.Align.CENTER,
+                active: selected === monitor,
+                tooltip_text: _('Selected monitor'),
+            });
+            if (firstRadio) radio.set_group(firstRadio);
+            else firstRadio = radio;
+            radio.connect('toggled', () => {
+                if (!radio.active) return;
+                const value = encodeMonitorRef(monitor);
+                settings.set_string('monitor-setting', value);
+                selectedRow.text = value;
+            });
+            row.add_prefix(radio);
+
+            const groupSwitch = new Gtk.Switch({
+                valign: Gtk.Align.CENTER,
+                active: groupRefs.some(ref => findMonitorByRef([monitor], ref)),
+                tooltip_text: _('Toggle together with the other checked monitors'),
+            });
+            groupSwitch.connect('notify::active', () => {
+                const refs = settings.get_strv('monitor-group')
+                    .filter(value => !findMonitorByRef([monitor], parseMonitorRef(value)));
+                if (groupSwitch.active) refs.push(encodeMonitorRef(monitor));
+                settings.set_strv('monitor-group', refs);
+            });
+            row.add_suffix(groupSwitch);
+
+            group.add(row);
+        }
+    }
+
+    // ComboRow for a string key with a fixed list of `values`.
+    _createChoiceRow(settings, key, values, { title, subtitle, labels }) {
+        const row = new Adw.ComboRow({
+            title,
+            subtitle,
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(0, values.indexOf(settings.get_string(key))),
+        });
+        row.connect('notify::selected', () => {
+            settings.set_string(key, values[row.selected]);
+        });
+        settings.connect(`changed::${key}`, () => {
+            row.selected = Math.max(0, values.indexOf(settings.get_string(key)));
+        });
+        return row;
+    }
+
+    // Anchor choices: the whole layout, then each connected monitor. A stored
+    // anchor that is not connected stays listed so it is not lost.
+    _fillAnchorRow(row, settings, monitors) {
+        const stored = settings.get_string('placement-anchor');
+        const values = [''];
+        const labels = [_('Whole layout')];
+        for (const monitor of monitors) {
+            values.push(encodeMonitorRef(monitor));
+            labels.push(monitorTitle(monitor));
+        }
+        const current = findMonitorByRef(monitors, parseMonitorRef(stored));
+        let selected = current ? monitors.indexOf(current) + 1 : 0;
+        if (stored && !current) {
+            values.push(stored);
+            labels.push(`${parseMonitorRef(stored).connector} (${_('not connected')})`);
+            selected = values.length - 1;
+        }
+
+        row.model = Gtk.StringList.new(labels);
+        row.selected = selected;
+        row.sensitive = true;
+        row.connect('notify::selected', () => {
+            settings.set_string('placement-anchor', values[row.selected]);
+        });
+    }
+
+    _buildShortcutsPage(settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Shortcuts'),
+            icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        });
+
+        const group = new Adw.PreferencesGroup({
+            title: _('Keyboard shortcuts'),
+            description: _('Accelerators such as <Super>F7. Separate several with commas; leave empty to disable.'),
+        });
+        page.add(group);
+
+        const shortcuts = [
+            ['toggle-monitor-shortcut', _('Toggle selected monitor')],
+            ['cycle-monitor-shortcut', _('Select next monitor')],
+            ['solo-monitor-shortcut', _('Only the selected monitor')],
+            ['restore-all-shortcut', _('All monitors on')],
+            ['rotate-monitor-shortcut', _('Rotate selected monitor')],
+        ];
+        for (const [key, title] of shortcuts) {
+            const row = new Adw.EntryRow({
+                title,
+                text: settings.get_strv(key).join(', '),
+                show_apply_button: true,
+            });
+            row.connect('apply', () => {
+                const accels = row.text.split(',').map(a => a.trim()).filter(Boolean);
+                const valid = accels.every(a => Gtk.accelerator_parse(a)[0]);
+                if (!valid) {
+                    row.add_css_class('error');
+                    return;
+                }
+                row.remove_css_class('error');
+                settings.set_strv(key, accels);
+            });
+            group.add(row);
+        }
+
+        return page;
+    }
+
+    _buildSavedStatePage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Saved State'),
+            icon_name: 'document-save-symbolic',
+        });
+
+        // Restore snapshots
+        const snapshotGroup = new Adw.PreferencesGroup({
+            title: _('Restore snapshots'),
+            description: _('Layouts captured while all monitors were active, one for each set of connected monitors, used when a monitor is turned back on.'),
+        });
+        page.add(snapshotGroup);
+
+        const snapshotText = () => {
+            const snapshots = readSnapshots(settings);
+            return Object.keys(snapshots).length > 0 ? JSON.stringify(snapshots, null, 2) : '';
+        };
+        const snapshotEditor = createJsonEditor(snapshotText());
+        snapshotGroup.add(snapshotEditor.widget);
+        snapshotGroup.add(createButtonRow([
+            [_('Clear'), 'destructive-action', () => {
+                clearSnapshot(settings);
+                snapshotEditor.buffer.text = '';
+                showToast(window, _('Snapshots cleared'));
+            }],
+            [_('Save'), 'suggested-action', () => {
+                try {
+                    const parsed = JSON.parse(bufferText(snapshotEditor.buffer) || '{}');
+                    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+                    if (!isObject(parsed) || !Object.values(parsed).every(isObject))
+                        throw new Error(_('expected an object of snapshots keyed by monitor set'));
+                    writeEditedSnapshots(settings, parsed);
+                    showToast(window, _('Snapshots saved'));
+                } catch (e) {
+                    showToast(window, `${_('Invalid snapshot')}: ${e.message}`);
+                }
+            }],
+        ]));
+
+        // Layout profiles
+        const profilesGroup = new Adw.PreferencesGroup({ title: _('Layout profiles') });
+        page.add(profilesGroup);
+        let profileRows = [];
+        const refreshProfiles = () => {
+            for (const row of profileRows) profilesGroup.remove(row);
+            profileRows = [];
+            const profiles = readProfiles(settings);
+            if (profiles.length === 0) {
+                const empty = new Adw.ActionRow({ title: _('No saved profiles') });
+                profilesGroup.add(empty);
+                profileRows.push(empty);
+                return;
+            }
+            for (const profile of profiles) {
+                const connectors = (profile.logicalMonitors || [])
+                    .flatMap(lm => (lm.monitors || []).map(m => m.connector));
+                const row = new Adw.ActionRow({
+                    title: profile.name,
+                    subtitle: connectors.join(', '),
+                });
+                const deleteButton = new Gtk.Button({
+                    icon_name: 'edit-delete-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: _('Delete profile'),
+                });
+                deleteButton.add_css_class('flat');
+                deleteButton.connect('clicked', () => {
+                    writeProfiles(settings, removeProfile(readProfiles(settings), profile.name));
+                });
+                row.add_suffix(deleteButton);
+                profilesGroup.add(row);
+                profileRows.push(row);
+            }
+        };
+        refreshProfiles();
+        settings.connect('changed::layout-profiles', refreshProfiles);
+
+        // Automation rules
+        const rulesGroup = new Adw.PreferencesGroup({
+            title: _('Automation rules'),
+            description: _('JSON list of rules. See the README for the format.'),
+        });
+        page.add(rulesGroup);
+
+        const rulesEditor = createJsonEditor(settings.get_string('automation-rules'));
+        rulesGroup.add(rulesEditor.widget);
+        rulesGroup.add(createButtonRow([
+            [_('Clear'), 'destructive-action', () => {
+                settings.reset('automation-rules');
+                rulesEditor.buffer.text = settings.get_string('automation-rules');
+                showToast(window, _('Rules cleared'));
+            }],
+            [_('Save'), 'suggested-action', () => {
+                try {
+                    const parsed = JSON.parse(bufferText(rulesEditor.buffer) || '[]');
+                    if (!Array.isArray(parsed))
+                        throw new Error(_('expected a list'));
+                    const invalid = parsed.findIndex(rule => !isValidRule(rule));
+                    if (invalid !== -1)
+                        throw new Error(`${_('invalid rule')} #${invalid + 1}`);
+                    settings.set_string('automation-rules', JSON.stringify(parsed));
+                    showToast(window, _('Rules saved'));
+                } catch (e) {
+                    showToast(window, `${_('Invalid rules')}: ${e.message}`);
+                }
+            }],
+        ]));
+
+        return page;
+    }
+}
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createCommandQueue } from '../lib/commandQueue.js';
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => (resolve = r));
+    return { promise, resolve };
+}
+
+test('runs operations one at a time, in order', async () => {
+    const queue = createCommandQueue();
+    const order = [];
+    const gate = deferred();
+    const first = queue.run('first', async () => {
+        order.push('first:start');
+        await gate.promise;
+        order.push('first:end');
+        return 1;
+    });
+    const second = queue.run('second', async () => {
+        order.push('second');
+        return 2;
+    });
+    assert.equal(queue.busy, true);
+    gate.resolve();
+    assert.deepEqual(await Promise.all([first, second]), [1, 2]);
+    assert.deepEqual(order, ['first:start', 'first:end', 'second']);
+    assert.equal(queue.busy, false);
+});
+
+test('a waiting run with the same key is superseded and shares the result', async () => {
+    const queue = createCommandQueue();
+    const gate = deferred();
+    const ran = [];
+    queue.run('toggle', () => gate.promise);
+    const older = queue.run('refresh', async () => ran.push('older'), { key: 'refresh' });
+    const newer = queue.run('refresh', async () => {
+        ran.push('newer');
+        return 'fresh';
+    }, { key: 'refresh' });
+    gate.resolve();
+    assert.deepEqual(await Promise.all([older, newer]), ['fresh', 'fresh']);
+    assert.deepEqual(ran, ['newer']);
+});
+
+test('a failing run rejects only its own callers', async () => {
+    const queue = createCommandQueue();
+    const failed = queue.run('bad', async () => {
+        throw new Error('boom');
+    });
+    const next = queue.run('good', async () => 'ok');
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'ok');
+});
+
+test('destroy drops waiting runs', async () => {
+    const queue = createCommandQueue();
+    const gate = deferred();
+    const running = queue.run('running', () => gate.promise);
+    let ran = false;
+    const dropped = queue.run('dropped', async () => (ran = true));
+    queue.destroy();
+    assert.equal(await dropped, undefined);
+    gate.resolve('done');
+    assert.equal(await running, 'done');
+    assert.equal(ran, false);
+    assert.equal(await queue.run('late', async () => 'never'), undefined);
+});
+
+test('reruns a task once when rerunOn asks for it', async () => {
+    class Stale extends Error {}
+    const queue = createCommandQueue({ rerunOn: e => e instanceof Stale });
+    let runs = 0;
+    const rerun = queue.run('apply', async () => {
+        runs++;
+        if (runs === 1) throw new Stale();
+        return runs;
+    });
+    assert.equal(await rerun, 2);
+
+    let failures = 0;
+    await assert.rejects(queue.run('apply', async () => {
+        failures++;
+        throw new Stale('still stale');
+    }), /still stale/);
+    assert.equal(failures, 2);
+    await assert.rejects(queue.run('apply', async () => {
+        throw new Error('other');
+    }), /other/);
+});
@@ -0,0 +1,85 @@
+// A FakeMutter exported as org.gnome.Mutter.DisplayConfig, for the gjs
+// integration tests. Run it on a private session bus (dbus-run-session), so
+// the real compositor is never touched.
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { DisplayConfigInterface } from '../lib/dbusService.js';
+import { FakeMutterError } from './fakeMutter.js';
+
+const BUS_NAME = 'org.gnome.Mutter.DisplayConfig';
+const OBJECT_PATH = '/org/gnome/Mutter/DisplayConfig';
+
+const PROPERTY_TYPES = {
+    'is-current': 'b',
+    'is-preferred': 'b',
+    'is-builtin': 'b',
+    'supports-changing-layout-mode': 'b',
+    'display-name': 's',
+    'layout-mode': 'u',
+};
+
+function pack(properties) {
+    const packed = {};
+    for (const [name, value] of Object.entries(properties))
+        packed[name] = new GLib.Variant(PROPERTY_TYPES[name] ?? 's', value);
+    return packed;
+}
+
+export class FakeDisplayConfigService {
+    // Exports `mutter` and resolves once the bus name is owned.
+    static async start(mutter) {
+        const service = new FakeDisplayConfigService(mutter);
+        await new Promise((resolve, reject) => {
+            service._nameId = Gio.bus_own_name_on_connection(
+                Gio.DBus.session,
+                BUS_NAME,
+                Gio.BusNameOwnerFlags.NONE,
+                () => resolve(),
+                () => reject(new Error(`Could not own ${BUS_NAME}; is the test on a private bus?`))
+            );
+        });
+        return service;
+    }
+
+    constructor(mutter) {
+        this._mutter = mutter;
+        this._impl = Gio.DBusExportedObject.wrapJSObject(DisplayConfigInterface, this);
+        this._impl.export(Gio.DBus.session, OBJECT_PATH);
+        mutter.onChanged = () => this._impl?.emit_signal('MonitorsChanged', null);
+    }
+
+    destroy() {
+        if (this._nameId) {
+            Gio.bus_unown_name(this._nameId);
+            this._nameId = 0;
+        }
+        this._impl?.unexport();
+        this._impl = null;
+        this._mutter.onChanged = null;
+    }
+
+    GetCurrentState() {
+        const [serial, monitors, logicalMonitors, properties] = this._mutter.getCurrentState();
+        return [
+            serial,
+            monitors.map(([spec, modes, props]) => [
+                spec,
+                modes.map(mode => [...mode.slice(0, 6), pack(mode[6])]),
+                pack(props),
+            ]),
+            logicalMonitors.map(lm => [...lm.slice(0, 6), pack(lm[6])]),
+            pack(properties),
+        ];
+    }
+
+    ApplyMonitorsConfig(serial, method, logicalMonitors, properties) {
+        try {
+            this._mutter.applyMonitorsConfig(serial, method, logicalMonitors, properties);
+        } catch (e) {
+            if (!(e instanceof FakeMutterError)) throw e;
+            throw new GLib.Error(Gio.DBusError,
+                e.stale ? Gio.DBusError.ACCESS_DENIED : Gio.DBusError.INVALID_ARGS, e.message);
+        }
+    }
+}
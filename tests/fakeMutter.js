@@ -0,0 +1,205 @@
+// In-memory stand-in for Mutter's org.gnome.Mutter.DisplayConfig. It keeps
+// GetCurrentState data for a set of fake monitors and checks
+// ApplyMonitorsConfig calls roughly the way Mutter does: serial, connectors,
+// modes, scales, one primary, no offset, overlap or gap. It shares no code
+// with lib/, so the tests do not check the layout engine against itself.
+//
+// The node tests drive it directly; fakeDisplayConfigService.js exports it
+// on a private session bus for the gjs integration tests. Property
+// dictionaries hold plain values; the service turns them into GLib.Variants.
+
+export const STALE_SERIAL_MESSAGE = 'The requested configuration is based on stale information';
+
+// ApplyMonitorsConfig refused; `stale` marks a serial mismatch, which Mutter
+// reports as org.freedesktop.DBus.Error.AccessDenied.
+export class FakeMutterError extends Error {
+    constructor(message, { stale = false } = {}) {
+        super(message);
+        this.name = 'FakeMutterError';
+        this.stale = stale;
+    }
+}
+
+export function modeId(width, height, rate) {
+    return `${width}x${height}@${rate.toFixed(3)}`;
+}
+
+// Physical monitor in GetCurrentState form. `modes` are [width, height, rate]
+// with the first one preferred; `current` indexes the mode shown when the
+// monitor starts on.
+export function fakeMonitor(connector, {
+    vendor = 'ACM',
+    product = connector,
+    serial = `${connector}-0001`,
+    modes = [[1920, 1080, 60]],
+    scales = [1, 1.25, 1.5, 2],
+    preferredScale = 1,
+    builtin = false,
+} = {}) {
+    return [
+        [connector, vendor, product, serial],
+        modes.map(([width, height, rate], index) => [
+            modeId(width, height, rate), width, height, rate, preferredScale, scales,
+            index === 0 ? { 'is-preferred': true } : {},
+        ]),
+        { 'display-name': `${vendor} ${product}`, 'is-builtin': builtin },
+    ];
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function unpack(value) {
+    return value && typeof value.deepUnpack === 'function' ? value.deepUnpack() : value;
+}
+
+export class FakeMutter {
+    // `monitors` from fakeMonitor(); `layout` is the starting configuration
+    // in ApplyMonitorsConfig form, applied without checks.
+    constructor(monitors, layout, { layoutMode = 1 } = {}) {
+        this.serial = 1;
+        this.monitors = clone(monitors);
+        this.layoutMode = layoutMode;
+        this.logicalMonitors = [];
+        this.applied = [];       // { method, logicalMonitors } for every accepted call
+        this.onChanged = null;   // Called after the configuration changed (MonitorsChanged)
+        this._setLayout(layout);
+    }
+
+    getCurrentState() {
+        return [
+            this.serial,
+            clone(this.monitors),
+            clone(this.logicalMonitors),
+            { 'layout-mode': this.layoutMode, 'supports-changing-layout-mode': true },
+        ];
+    }
+
+    applyMonitorsConfig(serial, method, logicalMonitors, properties = {}) {
+        if (serial !== this.serial)
+            throw new FakeMutterError(STALE_SERIAL_MESSAGE, { stale: true });
+        const layoutMode = unpack(properties['layout-mode']) ?? this.layoutMode;
+        this._verify(logicalMonitors, layoutMode);
+        this.applied.push({ method, logicalMonitors: clone(logicalMonitors) });
+        if (method === 0) return;
+        this.layoutMode = layoutMode;
+        this._setLayout(logicalMonitors);
+        this._changed();
+    }
+
+    // Connect `monitor` (from fakeMonitor()); it stays off until a layout
+    // turns it on, as Mutter leaves it to the caller.
+    plug(monitor) {
+        this.monitors.push(clone(monitor));
+        this._changed();
+    }
+
+    unplug(connector) {
+        this.monitors = this.monitors.filter(m => m[0][0] !== connector);
+        this._setLayout(this._currentLayout().map(lm => [
+            ...lm.slice(0, 5), lm[5].filter(m => m[0] !== connector), {},
+        ]).filter(lm => lm[5].length > 0));
+        if (!this.logicalMonitors.some(lm => lm[4]) && this.logicalMonitors.length > 0)
+            this.logicalMonitors[0][4] = true;
+        this._changed();
+    }
+
+    // Connectors of each logical monitor, for assertions: [[x, y, primary, connectors]].
+    summary() {
+        return this.logicalMonitors.map(lm => [lm[0], lm[1], lm[4], lm[5].map(m => m[0])]);
+    }
+
+    // Current mode ID of `connector`, or null when it is off.
+    currentMode(connector) {
+        const phys = this._physical(connector);
+        return phys?.[1].find(m => m[6]['is-current'])?.[0] ?? null;
+    }
+
+    _physical(connector) {
+        return this.monitors.find(m => m[0][0] === connector);
+    }
+
+    _currentLayout() {
+        return this.logicalMonitors.map(lm => [
+            ...lm.slice(0, 5),
+            lm[5].map(spec => [spec[0], this.currentMode(spec[0]), {}]),
+            {},
+        ]);
+    }
+
+    _changed() {
+        this.serial++;
+        this.onChanged?.();
+    }
+
+    _setLayout(layout) {
+        for (const phys of this.monitors) {
+            for (const mode of phys[1]) delete mode[6]['is-current'];
+        }
+        this.logicalMonitors = layout.map(([x, y, scale, transform, primary, specs]) => {
+            for (const [connector, id] of specs) {
+                const mode = this._physical(connector)?.[1].find(m => m[0] === id);
+                if (mode) mode[6]['is-current'] = true;
+            }
+            return [x, y, scale, transform, !!primary,
+                specs.map(([connector]) => clone(this._physical(connector)?.[0] ?? [connector, '', '', ''])), {}];
+        });
+    }
+
+    _verify(logicalMonitors, layoutMode) {
+        if (logicalMonitors.length === 0)
+            throw new FakeMutterError('Monitors config incomplete');
+        const rects = [];
+        const used = new Set();
+        for (const [x, y, scale, transform, , specs] of logicalMonitors) {
+            if (specs.length === 0)
+                throw new FakeMutterError('Logical monitor is empty');
+            let size = null;
+            for (const [connector, id] of specs) {
+                const phys = this._physical(connector);
+                if (!phys)
+                    throw new FakeMutterError(`Invalid connector '${connector}' specified`);
+                if (used.has(connector))
+                    throw new FakeMutterError(`Connector '${connector}' used twice`);
+                used.add(connector);
+                const mode = phys[1].find(m => m[0] === id);
+                if (!mode)
+                    throw new FakeMutterError(`Invalid mode '${id}' specified`);
+                if (!mode[5].some(s => Math.abs(s - scale) < 0.001))
+                    throw new FakeMutterError(`Scale ${scale} not valid for resolution ${id}`);
+                const divisor = layoutMode === 2 ? 1 : scale;
+                let width = Math.round(mode[1] / divisor);
+                let height = Math.round(mode[2] / divisor);
+                if (transform % 2 === 1) [width, height] = [height, width];
+                if (size && (size[0] !== width || size[1] !== height))
+                    throw new FakeMutterError('Mirrored monitors have different sizes');
+                size = [width, height];
+            }
+            rects.push({ x, y, width: size[0], height: size[1] });
+        }
+
+        if (logicalMonitors.filter(lm => lm[4]).length !== 1)
+            throw new FakeMutterError('Config is missing primary logical');
+        if (Math.min(...rects.map(r => r.x)) !== 0 || Math.min(...rects.map(r => r.y)) !== 0)
+            throw new FakeMutterError('Logical monitors positions are offset');
+
+        for (let i = 0; i < rects.length; i++) {
+            const a = rects[i];
+            let touches = rects.length === 1;
+            for (let j = 0; j < rects.length; j++) {
+                if (i === j) continue;
+                const b = rects[j];
+                const overlapX = a.x < b.x + b.width && b.x < a.x + a.width;
+                const overlapY = a.y < b.y + b.height && b.y < a.y + a.height;
+                if (overlapX && overlapY)
+                    throw new FakeMutterError('Logical monitors overlap');
+                if ((overlapY && (a.x + a.width === b.x || b.x + b.width === a.x)) ||
+                    (overlapX && (a.y + a.height === b.y || b.y + b.height === a.y)))
+                    touches = true;
+            }
+            if (!touches)
+                throw new FakeMutterError('Logical monitors not adjacent');
+        }
+    }
+}
@@ -0,0 +1,14 @@
+// The parts of GLib that lib/xmlReader.js uses, backed by node's fs.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const FileTest = { EXISTS: 1 << 4 };
+
+export default {
+    FileTest,
+    build_filenamev: parts => path.join(...parts),
+    get_user_config_dir: () => process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+    file_test: (filename, test) => test === FileTest.EXISTS && fs.existsSync(filename),
+    file_get_contents: filename => [true, new Uint8Array(fs.readFileSync(filename))],
+};
@@ -0,0 +1,8 @@
+// Module resolution hook: gi://<Name> imports resolve to tests/gi/<Name>.js,
+// which fake the few calls lib/ makes at import time or in tested code.
+export async function resolve(specifier, context, nextResolve) {
+    const match = /^gi:\/\/(\w+)/.exec(specifier);
+    if (match)
+        return { url: new URL(`./gi/${match[1]}.js`, import.meta.url).href, shortCircuit: true };
+    return nextResolve(specifier, context);
+}
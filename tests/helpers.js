@@ -0,0 +1,27 @@
+// Glue between FakeMutter and the layout engine for the node tests.
+import { buildApplyArguments } from '../lib/layout.js';
+import { snapshotFromLayout } from '../lib/snapshot.js';
+
+export const LAPTOP = 'eDP-1';
+export const EXTERNAL = 'HDMI-1';
+
+// Layout-engine state for what `mutter` reports now.
+export function stateOf(mutter, snapshot = {}) {
+    const [serial, monitors, logicalMonitors, properties] = mutter.getCurrentState();
+    return { serial, monitors, logicalMonitors, properties, snapshot };
+}
+
+// Apply a layout built from `state` the way the extension does; throws
+// what FakeMutter rejects.
+export function apply(mutter, state, logicalMonitors, method = 1) {
+    mutter.applyMonitorsConfig(...buildApplyArguments(state, method, logicalMonitors));
+}
+
+// Restore snapshot of the layout `mutter` shows now.
+export function snapshotOf(mutter) {
+    const state = stateOf(mutter);
+    const layout = mutter.logicalMonitors.map(lm => [
+        ...lm.slice(0, 5), lm[5].map(spec => [spec[0], mutter.currentMode(spec[0]), {}]), {},
+    ]);
+    return snapshotFromLayout(state.monitors, layout);
+}
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { computeToggleLayout } from '../lib/layout.js';
+import { captureHistoryEntry, createHistory, recordChange, stepHistory } from '../lib/history.js';
+import { buildProfileLayout } from '../lib/profiles.js';
+import { FakeMutter, fakeMonitor, modeId } from './fakeMutter.js';
+import { EXTERNAL, LAPTOP, apply, stateOf } from './helpers.js';
+
+test('undo and redo bring back the layouts around a toggle', () => {
+    const mutter = new FakeMutter([fakeMonitor(LAPTOP), fakeMonitor(EXTERNAL, { modes: [[2560, 1440, 60]] })], [
+        [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}],
+        [1920, 0, 1, 0, false, [[EXTERNAL, modeId(2560, 1440, 60), {}]], {}],
+    ]);
+    const both = mutter.summary();
+
+    let state = stateOf(mutter);
+    let history = recordChange(createHistory(), captureHistoryEntry(state));
+    apply(mutter, state, computeToggleLayout(state, [EXTERNAL]).logicalMonitors);
+    const single = mutter.summary();
+
+    state = stateOf(mutter);
+    let step = stepHistory(history, 'undo', captureHistoryEntry(state));
+    apply(mutter, state, buildProfileLayout(step.entry, state.monitors).logicalMonitors);
+    history = step.history;
+    assert.deepEqual(mutter.summary(), both);
+
+    state = stateOf(mutter);
+    step = stepHistory(history, 'redo', captureHistoryEntry(state));
+    apply(mutter, state, buildProfileLayout(step.entry, state.monitors).logicalMonitors);
+    assert.deepEqual(mutter.summary(), single);
+    assert.equal(stepHistory(step.history, 'redo', null).entry, null);
+});
+
+test('keeps only the newest entries', () => {
+    let history = createHistory();
+    for (let i = 0; i < 5; i++) history = recordChange(history, { name: `${i}` }, 3);
+    assert.deepEqual(history.undo.map(e => e.name), ['2', '3', '4']);
+    assert.deepEqual(history.redo, []);
+});
@@ -0,0 +1,193 @@
+// Integration tests for the command-line tool against a fake Mutter. Run on
+// a private session bus, from the top of the tree:
+//
+//   dbus-run-session -- gjs -m tests/integration.js
+//
+// Each test exports a FakeMutter as org.gnome.Mutter.DisplayConfig, runs
+// ./dual-monitor-toggle with throwaway settings (memory backend) and config
+// directory, and checks what the fake was asked to apply.
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+import {
+    DUAL_MONITOR_TOGGLE_BUS_NAME,
+    DUAL_MONITOR_TOGGLE_OBJECT_PATH,
+    DualMonitorToggleInterface,
+} from '../lib/dbusService.js';
+import { FakeDisplayConfigService } from './fakeDisplayConfigService.js';
+import { FakeMutter, fakeMonitor, modeId } from './fakeMutter.js';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+
+const TOP = GLib.path_get_dirname(GLib.path_get_dirname(GLib.filename_from_uri(import.meta.url)[0]));
+const LAPTOP = 'eDP-1';
+const EXTERNAL = 'HDMI-1';
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, what) {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a !== e) throw new Error(`${what}: expected ${e}, got ${a}`);
+}
+
+function laptopAndExternal() {
+    return new FakeMutter([
+        fakeMonitor(LAPTOP, { vendor: 'BOE', builtin: true }),
+        fakeMonitor(EXTERNAL, { vendor: 'DEL', modes: [[2560, 1440, 60], [1920, 1080, 60]] }),
+    ], [
+        [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}],
+        [1920, 0, 1, 0, false, [[EXTERNAL, modeId(2560, 1440, 60), {}]], {}],
+    ]);
+}
+
+function makeTempDir() {
+    return GLib.dir_make_tmp('dual-monitor-toggle-test-XXXXXX');
+}
+
+// Compiled schemas in a temporary directory, so the tree stays clean.
+async function compileSchemas() {
+    const dir = makeTempDir();
+    const proc = Gio.Subprocess.new(
+        ['glib-compile-schemas', `--targetdir=${dir}`, GLib.build_filenamev([TOP, 'schemas'])],
+        Gio.SubprocessFlags.NONE);
+    await proc.communicate_utf8_async(null, null);
+    if (!proc.get_successful()) throw new Error('glib-compile-schemas failed');
+    return dir;
+}
+
+let schemaDir = null;
+
+// Run the CLI; resolves to { status, stdout, stderr, json }.
+async function cli(...args) {
+    const launcher = new Gio.SubprocessLauncher({
+        flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE,
+    });
+    launcher.set_cwd(TOP);
+    launcher.setenv('GSETTINGS_SCHEMA_DIR', schemaDir, true);
+    launcher.setenv('GSETTINGS_BACKEND', 'memory', true);
+    launcher.setenv('XDG_CONFIG_HOME', makeTempDir(), true);
+    const proc = launcher.spawnv(['gjs', '-m', './dual-monitor-toggle', ...args]);
+    const [stdout, stderr] = await proc.communicate_utf8_async(null, null);
+    let json = null;
+    try {
+        json = JSON.parse(stdout);
+    } catch (_e) {
+        // Not every command prints JSON.
+    }
+    return { status: proc.get_exit_status(), stdout, stderr, json };
+}
+
+async function withFake(mutter, fn) {
+    const service = await FakeDisplayConfigService.start(mutter);
+    try {
+        await fn(mutter);
+    } finally {
+        service.destroy();
+    }
+}
+
+// Stand-in for the running extension: owns its bus name and records the
+// method calls it gets, as [method, ...args].
+async function withFakeExtension(fn) {
+    const calls = [];
+    const impl = Gio.DBusExportedObject.wrapJSObject(DualMonitorToggleInterface, {
+        Toggle: monitor => calls.push(['Toggle', monitor]),
+        Enable: monitor => calls.push(['Enable', monitor]),
+        Disable: monitor => calls.push(['Disable', monitor]),
+        ApplyProfile: name => calls.push(['ApplyProfile', name]),
+    });
+    impl.export(Gio.DBus.session, DUAL_MONITOR_TOGGLE_OBJECT_PATH);
+    let nameId = 0;
+    try {
+        await new Promise((resolve, reject) => {
+            nameId = Gio.bus_own_name_on_connection(Gio.DBus.session, DUAL_MONITOR_TOGGLE_BUS_NAME,
+                Gio.BusNameOwnerFlags.NONE, () => resolve(),
+                () => reject(new Error(`Could not own ${DUAL_MONITOR_TOGGLE_BUS_NAME}`)));
+        });
+        await fn(calls);
+    } finally {
+        if (nameId) Gio.bus_unown_name(nameId);
+        impl.unexport();
+    }
+}
+
+test('disable and enable an external monitor', () => withFake(laptopAndExternal(), async mutter => {
+    let result = await cli('--json', '--temporary', 'disable', EXTERNAL);
+    assertEqual(result.status, 0, `disable exit status (${result.stderr})`);
+    assertEqual(mutter.summary(), [[0, 0, true, [LAPTOP]]], 'layout after disable');
+    assertEqual(mutter.applied.map(a => a.method), [0, 1], 'verify, then apply');
+
+    result = await cli('--json', '--temporary', 'enable', EXTERNAL);
+    assertEqual(result.status, 0, `enable exit status (${result.stderr})`);
+    assertEqual(mutter.summary(), [[0, 0, true, [LAPTOP]], [1920, 0, false, [EXTERNAL]]], 'layout after enable');
+    assertEqual(mutter.currentMode(EXTERNAL), modeId(2560, 1440, 60), 'external mode');
+}));
+
+test('a dry run only verifies', () => withFake(laptopAndExternal(), async mutter => {
+    const before = mutter.summary();
+    const result = await cli('--json', '--dry-run', 'disable', EXTERNAL);
+    assertEqual(result.status, 0, `exit status (${result.stderr})`);
+    assertEqual(result.json.dryRun, true, 'reported as dry run');
+    assertEqual(mutter.applied.map(a => a.method), [0], 'methods');
+    assertEqual(mutter.summary(), before, 'layout');
+}));
+
+test('refuses to turn off the last monitor', () => withFake(laptopAndExternal(), async mutter => {
+    await cli('--temporary', 'disable', EXTERNAL);
+    const result = await cli('--json', '--temporary', 'disable', LAPTOP);
+    assertEqual(result.status, 1, 'exit status');
+    assertEqual(mutter.summary(), [[0, 0, true, [LAPTOP]]], 'layout');
+}));
+
+test('changes go through the extension while it runs', () => withFake(laptopAndExternal(), mutter =>
+    withFakeExtension(async calls => {
+        let result = await cli('--json', 'disable', EXTERNAL);
+        assertEqual(result.status, 0, `exit status (${result.stderr})`);
+        assertEqual(calls, [['Disable', EXTERNAL]], 'extension calls');
+        assertEqual(mutter.applied, [], 'nothing applied past the extension');
+
+        result = await cli('--json', '--temporary', 'disable', EXTERNAL);
+        assertEqual(result.status, 1, 'an explicit mode is refused');
+
+        result = await cli('--json', '--dry-run', 'disable', EXTERNAL);
+        assertEqual(result.status, 0, `dry run exit status (${result.stderr})`);
+        assertEqual(mutter.applied.map(a => a.method), [0], 'a dry run still only verifies');
+        assertEqual(calls.length, 1, 'extension calls after the dry run');
+    })));
+
+test('lists monitors with their state', () => withFake(laptopAndExternal(), async () => {
+    const result = await cli('--json', 'list');
+    assertEqual(result.status, 0, `exit status (${result.stderr})`);
+    assertEqual(result.json.map(m => [m.connector, m.active, m.primary, m.x, m.mode]),
+        [[LAPTOP, true, true, 0, '1920x1080@60.00'], [EXTERNAL, true, false, 1920, '2560x1440@60.00']], 'monitors');
+}));
+
+async function main() {
+    schemaDir = await compileSchemas();
+    let failed = 0;
+    for (const [index, { name, fn }] of tests.entries()) {
+        try {
+            await fn();
+            print(`ok ${index + 1} - ${name}`);
+        } catch (e) {
+            failed++;
+            print(`not ok ${index + 1} - ${name}\n# ${e.message}`);
+        }
+    }
+    print(`1..${tests.length}`);
+    return failed;
+}
+
+const loop = new GLib.MainLoop(null, false);
+let exitCode = 1;
+main().then(failed => {
+    exitCode = failed > 0 ? 1 : 0;
+}).catch(e => {
+    printerr(`${e}\n${e.stack}`);
+}).finally(() => loop.quit());
+loop.run();
+System.exit(exitCode);
@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+    buildMirrorLayout,
+    buildModeLayout,
+    buildPrimaryLayout,
+    buildSoloLayout,
+    computeToggleLayout,
+    validateLayout,
+} from '../lib/layout.js';
+import { FakeMutter, fakeMonitor, modeId } from './fakeMutter.js';
+import { EXTERNAL, LAPTOP, apply, snapshotOf, stateOf } from './helpers.js';
+
+const laptop = fakeMonitor(LAPTOP, { vendor: 'BOE', builtin: true, modes: [[1920, 1080, 60], [1280, 720, 60]] });
+const external = fakeMonitor(EXTERNAL, { vendor: 'DEL', modes: [[2560, 1440, 60], [1920, 1080, 75], [1920, 1080, 60]] });
+
+function side(laptopMode, externalMode, { externalLeft = false, width = 1920, scale = 1, transform = 0 } = {}) {
+    return externalLeft
+        ? [
+            [0, 0, 1, transform, false, [[EXTERNAL, externalMode, {}]], {}],
+            [width, 0, scale, 0, true, [[LAPTOP, laptopMode, {}]], {}],
+        ]
+        : [
+            [0, 0, scale, 0, true, [[LAPTOP, laptopMode, {}]], {}],
+            [width, 0, 1, transform, false, [[EXTERNAL, externalMode, {}]], {}],
+        ];
+}
+
+// Turn `connector` off and on again, with the snapshot taken before.
+function roundTrip(mutter, connector) {
+    const before = mutter.summary();
+    const snapshot = snapshotOf(mutter);
+
+    let state = stateOf(mutter, snapshot);
+    const off = computeToggleLayout(state, [connector]);
+    assert.equal(off.error, null);
+    assert.equal(off.enable, false);
+    assert.deepEqual(validateLayout(state, off.logicalMonitors), []);
+    apply(mutter, state, off.logicalMonitors);
+    assert.ok(!mutter.summary().some(lm => lm[3].includes(connector)));
+
+    state = stateOf(mutter, snapshot);
+    const on = computeToggleLayout(state, [connector]);
+    assert.equal(on.error, null);
+    assert.equal(on.fromSnapshot, true);
+    assert.deepEqual(validateLayout(state, on.logicalMonitors), []);
+    apply(mutter, state, on.logicalMonitors);
+    assert.deepEqual(mutter.summary(), before);
+}
+
+describe('disable and enable again', () => {
+    test('external monitor right of the laptop', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        roundTrip(mutter, EXTERNAL);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(2560, 1440, 60));
+    });
+
+    test('external monitor left of the laptop, which moves to the origin meanwhile', () => {
+        const mutter = new FakeMutter([laptop, external],
+            side(modeId(1920, 1080, 60), modeId(1920, 1080, 75), { externalLeft: true }));
+        const snapshot = snapshotOf(mutter);
+        const state = stateOf(mutter, snapshot);
+        apply(mutter, state, computeToggleLayout(state, [EXTERNAL]).logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP]]]);
+
+        const restored = stateOf(mutter, snapshot);
+        apply(mutter, restored, computeToggleLayout(restored, [EXTERNAL]).logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, false, [EXTERNAL]], [1920, 0, true, [LAPTOP]]]);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(1920, 1080, 75));
+    });
+
+    test('scaled laptop panel', () => {
+        const hidpi = fakeMonitor(LAPTOP, { builtin: true, modes: [[2880, 1800, 60]], preferredScale: 2 });
+        const mutter = new FakeMutter([hidpi, external],
+            side(modeId(2880, 1800, 60), modeId(1920, 1080, 60), { width: 1440, scale: 2 }));
+        roundTrip(mutter, EXTERNAL);
+    });
+
+    test('scaled laptop panel in the physical layout mode', () => {
+        const hidpi = fakeMonitor(LAPTOP, { builtin: true, modes: [[2880, 1800, 60]], preferredScale: 2 });
+        const mutter = new FakeMutter([hidpi, external],
+            side(modeId(2880, 1800, 60), modeId(1920, 1080, 60), { width: 2880, scale: 2 }),
+            { layoutMode: 2 });
+        roundTrip(mutter, EXTERNAL);
+        assert.equal(mutter.applied.at(-1).logicalMonitors[1][0], 2880);
+    });
+
+    test('rotated external monitor', () => {
+        const mutter = new FakeMutter([laptop, external],
+            side(modeId(1920, 1080, 60), modeId(1920, 1080, 60), { transform: 1 }));
+        roundTrip(mutter, EXTERNAL);
+        assert.equal(mutter.logicalMonitors[1][3], 1);
+    });
+
+    test('the laptop, when it is the primary', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        roundTrip(mutter, LAPTOP);
+    });
+
+    test('the middle one of three in a row, which closes the gap', () => {
+        const third = fakeMonitor('DP-1', { vendor: 'LEN' });
+        const mutter = new FakeMutter([laptop, external, third], [
+            ...side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)),
+            [4480, 0, 1, 0, false, [['DP-1', modeId(1920, 1080, 60), {}]], {}],
+        ]);
+        roundTrip(mutter, EXTERNAL);
+
+        const state = stateOf(mutter);
+        const off = computeToggleLayout(state, [EXTERNAL]);
+        assert.deepEqual(validateLayout(state, off.logicalMonitors), []);
+        apply(mutter, state, off.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP]], [1920, 0, false, ['DP-1']]]);
+    });
+});
+
+describe('enable without a snapshot', () => {
+    test('places a newly plugged monitor right of the layout', () => {
+        const mutter = new FakeMutter([laptop], [[0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}]]);
+        mutter.plug(external);
+        const state = stateOf(mutter);
+        const result = computeToggleLayout(state, [EXTERNAL]);
+        assert.equal(result.fromSnapshot, false);
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP]], [1920, 0, false, [EXTERNAL]]]);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(2560, 1440, 60));
+    });
+
+    test('places it above its anchor when the policy says so', () => {
+        const mutter = new FakeMutter([laptop], [[0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}]]);
+        mutter.plug(external);
+        const state = stateOf(mutter);
+        const result = computeToggleLayout(state, [EXTERNAL], {
+            placement: { side: 'above', anchor: LAPTOP, alignment: 'center' },
+        });
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[320, 1440, true, [LAPTOP]], [0, 0, false, [EXTERNAL]]]);
+    });
+
+    test('reports a monitor that is not connected', () => {
+        const mutter = new FakeMutter([laptop], [[0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}]]);
+        const result = computeToggleLayout(stateOf(mutter), ['DP-9']);
+        assert.equal(result.error, 'physical-monitor-not-found');
+    });
+});
+
+describe('primary monitor', () => {
+    test('hands over to the preferred monitor when the primary goes off', () => {
+        const third = fakeMonitor('DP-1', { vendor: 'LEN' });
+        const mutter = new FakeMutter([laptop, external, third], [
+            [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}],
+            [1920, 0, 1, 0, false, [[EXTERNAL, modeId(2560, 1440, 60), {}]], {}],
+            [4480, 0, 1, 0, false, [['DP-1', modeId(1920, 1080, 60), {}]], {}],
+        ]);
+        const state = stateOf(mutter);
+        const result = computeToggleLayout(state, [LAPTOP], { preferredPrimary: 'DP-1' });
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, false, [EXTERNAL]], [2560, 0, true, ['DP-1']]]);
+    });
+
+    test('moves to the chosen monitor', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        apply(mutter, state, buildPrimaryLayout(state, EXTERNAL));
+        assert.deepEqual(mutter.summary(), [[0, 0, false, [LAPTOP]], [1920, 0, true, [EXTERNAL]]]);
+    });
+
+    test('keeps a mirrored pair mirrored', () => {
+        const dock = fakeMonitor('DP-1', { vendor: 'LEN' });
+        const mutter = new FakeMutter([laptop, external, dock], [
+            [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}], [EXTERNAL, modeId(1920, 1080, 75), {}]], {}],
+            [1920, 0, 1, 0, false, [['DP-1', modeId(1920, 1080, 60), {}]], {}],
+        ]);
+        const state = stateOf(mutter);
+        apply(mutter, state, buildPrimaryLayout(state, 'DP-1'));
+        assert.deepEqual(mutter.summary(), [[0, 0, false, [LAPTOP, EXTERNAL]], [1920, 0, true, ['DP-1']]]);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(1920, 1080, 75));
+    });
+});
+
+describe('mirror and solo', () => {
+    test('mirrors at the largest shared resolution', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const result = buildMirrorLayout(state, EXTERNAL);
+        assert.equal(result.error, null);
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP, EXTERNAL]]]);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(1920, 1080, 75));
+    });
+
+    test('keeps only the chosen monitor on', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const result = buildSoloLayout(state, EXTERNAL);
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [EXTERNAL]]]);
+    });
+});
+
+describe('mode changes', () => {
+    test('a smaller resolution pulls the monitor on the right along', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const result = buildModeLayout(state, LAPTOP, { modeId: modeId(1280, 720, 60) });
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP]], [1280, 0, false, [EXTERNAL]]]);
+    });
+
+    test('rotation swaps the covered width and height', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const result = buildModeLayout(state, LAPTOP, { transform: 1 });
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP]], [1080, 0, false, [EXTERNAL]]]);
+    });
+
+    test('a mirrored pair elsewhere stays mirrored', () => {
+        const dock = fakeMonitor('DP-1', { vendor: 'LEN', modes: [[1920, 1080, 60], [1280, 1024, 60]] });
+        const mutter = new FakeMutter([laptop, external, dock], [
+            [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}], [EXTERNAL, modeId(1920, 1080, 60), {}]], {}],
+            [1920, 0, 1, 0, false, [['DP-1', modeId(1920, 1080, 60), {}]], {}],
+        ]);
+        const state = stateOf(mutter);
+        const result = buildModeLayout(state, 'DP-1', { modeId: modeId(1280, 1024, 60) });
+        apply(mutter, state, result.logicalMonitors);
+        assert.deepEqual(mutter.summary(), [[0, 0, true, [LAPTOP, EXTERNAL]], [1920, 0, false, ['DP-1']]]);
+        assert.equal(mutter.currentMode(EXTERNAL), modeId(1920, 1080, 60));
+    });
+
+    test('an unsupported scale snaps to a supported one', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const result = buildModeLayout(state, EXTERNAL, { scale: 1.3 });
+        assert.equal(result.scale, 1.25);
+        apply(mutter, state, result.logicalMonitors);
+    });
+});
+
+describe('validateLayout', () => {
+    test('finds what Mutter rejects', () => {
+        const mutter = new FakeMutter([laptop, external], side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const broken = [
+            [0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}],
+            [1000, 0, 1, 0, true, [[EXTERNAL, modeId(2560, 1440, 60), {}]], {}],
+        ];
+        assert.deepEqual(validateLayout(state, broken).map(p => p.problem), ['several-primaries', 'overlap']);
+        assert.throws(() => apply(mutter, state, broken));
+        assert.deepEqual(validateLayout(state, [
+            [0, 0, 3, 0, true, [[LAPTOP, 'nope', {}]], {}],
+        ]).map(p => p.problem), ['unsupported-mode']);
+    });
+
+    test('two pairs apart from each other', () => {
+        const left = fakeMonitor('DP-2', { vendor: 'LEN' });
+        const right = fakeMonitor('DP-3', { vendor: 'LEN' });
+        const mutter = new FakeMutter([laptop, external, left, right],
+            side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)));
+        const state = stateOf(mutter);
+        const apart = [
+            ...side(modeId(1920, 1080, 60), modeId(2560, 1440, 60)),
+            [6000, 0, 1, 0, false, [['DP-2', modeId(1920, 1080, 60), {}]], {}],
+            [7920, 0, 1, 0, false, [['DP-3', modeId(1920, 1080, 60), {}]], {}],
+        ];
+        assert.deepEqual(validateLayout(state, apart), [
+            { problem: 'not-adjacent', connectors: ['DP-2'] },
+            { problem: 'not-adjacent', connectors: ['DP-3'] },
+        ]);
+    });
+
+    test('a stale serial is refused', () => {
+        const mutter = new FakeMutter([laptop], [[0, 0, 1, 0, true, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}]]);
+        const state = stateOf(mutter);
+        mutter.plug(external);
+        assert.throws(() => apply(mutter, state, computeToggleLayout(state, [LAPTOP], { enable: true }).logicalMonitors),
+            error => error.stale);
+    });
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildCurrentLayout, computeToggleLayout } from '../lib/layout.js';
+import { buildProfileLayout, captureProfile } from '../lib/profiles.js';
+import { FakeMutter, fakeMonitor, modeId } from './fakeMutter.js';
+import { EXTERNAL, LAPTOP, apply, stateOf } from './helpers.js';
+
+function deskSetup() {
+    return new FakeMutter([
+        fakeMonitor(LAPTOP, { vendor: 'BOE', builtin: true, modes: [[1920, 1080, 60], [1280, 720, 60]] }),
+        fakeMonitor(EXTERNAL, { vendor: 'DEL', modes: [[2560, 1440, 60], [1920, 1080, 60]] }),
+    ], [
+        [0, 360, 1, 0, false, [[LAPTOP, modeId(1920, 1080, 60), {}]], {}],
+        [1920, 0, 1, 0, true, [[EXTERNAL, modeId(2560, 1440, 60), {}]], {}],
+    ]);
+}
+
+test('a saved profile applies again', () => {
+    const mutter = deskSetup();
+    const saved = mutter.summary();
+    let state = stateOf(mutter);
+    const profile = captureProfile('Desk', state.monitors, buildCurrentLayout(state));
+    assert.deepEqual(profile.logicalMonitors.map(lm => lm.monitors[0].modeId),
+        [modeId(1920, 1080, 60), modeId(2560, 1440, 60)]);
+
+    apply(mutter, state, computeToggleLayout(state, [EXTERNAL]).logicalMonitors);
+    assert.notDeepEqual(mutter.summary(), saved);
+
+    state = stateOf(mutter);
+    const { logicalMonitors, missing } = buildProfileLayout(profile, state.monitors);
+    assert.deepEqual(missing, []);
+    apply(mutter, state, logicalMonitors);
+    assert.deepEqual(mutter.summary(), saved);
+    assert.equal(mutter.currentMode(EXTERNAL), modeId(2560, 1440, 60));
+});
+
+test('a profile follows a monitor to another connector and a close refresh rate', () => {
+    const mutter = deskSetup();
+    let state = stateOf(mutter);
+    const profile = captureProfile('Desk', state.monitors, buildCurrentLayout(state));
+
+    mutter.unplug(EXTERNAL);
+    mutter.plug(fakeMonitor('DP-2', {
+        vendor: 'DEL', product: EXTERNAL, serial: `${EXTERNAL}-0001`, modes: [[2560, 1440, 59.95]],
+    }));
+    state = stateOf(mutter);
+    const { logicalMonitors, missing } = buildProfileLayout(profile, state.monitors);
+    assert.deepEqual(missing, []);
+    apply(mutter, state, logicalMonitors);
+    assert.deepEqual(mutter.summary(), [[0, 360, false, [LAPTOP]], [1920, 0, true, ['DP-2']]]);
+    assert.equal(mutter.currentMode('DP-2'), modeId(2560, 1440, 59.95));
+});
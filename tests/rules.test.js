@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { evaluateRules, monitorMatches, parseRules } from '../lib/rules.js';
+
+const laptop = { connector: 'eDP-1', identity: 'BOE|eDP-1|0001' };
+const external = { connector: 'HDMI-1', identity: 'DEL|U2720Q|ABC123' };
+
+function stateWith({ monitors = [laptop], lidClosed = false, minutes = 600 } = {}) {
+    return { monitors, lidClosed, minutes };
+}
+
+test('parseRules keeps the valid rules and drops the rest', () => {
+    const rules = parseRules(JSON.stringify([
+        { trigger: 'lid-closed', action: 'enable' },
+        { trigger: 'lid-shut', action: 'enable' },
+        { trigger: 'time', time: '24:00', action: 'disable' },
+        { trigger: 'time', time: '7:05', action: 'disable' },
+        { trigger: 'monitor-connected', action: 'toggle' },
+        null,
+    ]));
+    assert.deepEqual(rules.map(r => r.trigger), ['lid-closed', 'time']);
+    assert.deepEqual(parseRules('not json'), []);
+    assert.deepEqual(parseRules('{"trigger": "lid-closed"}'), []);
+    assert.deepEqual(parseRules(''), []);
+});
+
+test('monitorMatches takes a connector or an identity', () => {
+    assert.ok(monitorMatches('HDMI-1', external));
+    assert.ok(monitorMatches('DEL|U2720Q|ABC123', external));
+    assert.ok(!monitorMatches('DP-1', external));
+    assert.ok(!monitorMatches('', { connector: 'DP-1', identity: '' }));
+});
+
+test('lid rules fire on the edge only', () => {
+    const rules = parseRules(JSON.stringify([
+        { trigger: 'lid-closed', action: 'enable', target: 'HDMI-1' },
+        { trigger: 'lid-opened', action: 'disable' },
+    ]));
+    const open = stateWith();
+    const closed = stateWith({ lidClosed: true });
+
+    assert.deepEqual(evaluateRules(rules, open, closed).map(a => [a.index, a.action, a.target]),
+        [[0, 'enable', 'HDMI-1']]);
+    assert.deepEqual(evaluateRules(rules, closed, closed), []);
+    assert.deepEqual(evaluateRules(rules, closed, open).map(a => [a.index, a.action, a.target]),
+        [[1, 'disable', null]]);
+    assert.deepEqual(evaluateRules(rules, stateWith({ lidClosed: null }), closed), []);
+    assert.deepEqual(evaluateRules(rules, null, closed), []);
+});
+
+test('monitor rules fire when a matching monitor comes or goes', () => {
+    const rules = parseRules(JSON.stringify([
+        { trigger: 'monitor-connected', monitor: 'DEL|U2720Q|ABC123', action: 'enable' },
+        { trigger: 'monitor-disconnected', action: 'disable', enabled: false },
+        { trigger: 'monitor-disconnected', monitor: 'HDMI-1', action: 'enable', target: 'eDP-1' },
+    ]));
+    const undocked = stateWith();
+    const docked = stateWith({ monitors: [laptop, external] });
+
+    assert.deepEqual(evaluateRules(rules, undocked, docked).map(a => a.index), [0]);
+    assert.deepEqual(evaluateRules(rules, docked, docked), []);
+    assert.deepEqual(evaluateRules(rules, docked, undocked).map(a => a.index), [2]);
+
+    // A dock renumbering the connector doesn't count as a new monitor.
+    const renumbered = stateWith({ monitors: [laptop, { ...external, connector: 'DP-3' }] });
+    assert.ok(!evaluateRules(rules, docked, renumbered).some(a => a.index === 0));
+});
+
+test('time rules fire once when the clock passes them, across midnight too', () => {
+    const rules = parseRules(JSON.stringify([
+        { trigger: 'time', time: '23:00', action: 'disable' },
+        { trigger: 'time', time: '00:00', action: 'enable' },
+    ]));
+    const at = minutes => stateWith({ minutes });
+
+    assert.deepEqual(evaluateRules(rules, at(22 * 60 + 59), at(23 * 60)).map(a => a.index), [0]);
+    assert.deepEqual(evaluateRules(rules, at(23 * 60), at(23 * 60)), []);
+    assert.deepEqual(evaluateRules(rules, at(23 * 60), at(23 * 60 + 1)), []);
+    assert.deepEqual(evaluateRules(rules, at(23 * 60 + 59), at(0)).map(a => a.index), [1]);
+});
@@ -0,0 +1,5 @@
+// Loaded before the node tests (see package.json): lets lib/ modules that
+// import gi:// libraries load outside gjs.
+import { register } from 'node:module';
+
+register('./giHooks.js', import.meta.url);
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { exportLayout, importLayout } from '../lib/layoutExchange.js';
+import {
+    captureSnapshot,
+    clearSnapshot,
+    findSnapshot,
+    hardwareKey,
+    readSnapshots,
+    unpinSnapshot,
+    writeEditedSnapshots,
+    writeSnapshot,
+} from '../lib/snapshot.js';
+import { FakeMutter, fakeMonitor, modeId } from './fakeMutter.js';
+import { snapshotOf, stateOf } from './helpers.js';
+
+// The part of Gio.Settings the snapshot code uses.
+class FakeSettings {
+    constructor(values = {}) {
+        this.values = { 'restore-snapshot': '', 'pinned-snapshots': [], ...values };
+    }
+
+    get_string(key) {
+        return this.values[key];
+    }
+
+    set_string(key, value) {
+        this.values[key] = value;
+    }
+
+    get_strv(key) {
+        return [...this.values[key]];
+    }
+
+    set_strv(key, value) {
+        this.values[key] = [...value];
+    }
+}
+
+const laptop = fakeMonitor('eDP-1', { vendor: 'BOE' });
+const dockLeft = fakeMonitor('DP-1', { vendor: 'DEL', serial: 'L' });
+const dockRight = fakeMonitor('DP-2', { vendor: 'DEL', serial: 'R' });
+const home = fakeMonitor('HDMI-1', { vendor: 'LEN' });
+
+function entry(x) {
+    return { 'eDP-1': { x, y: 0, scale: 1, transform: 0, isPrimary: true, modeId: '1920x1080@60.000', identity: null } };
+}
+
+test('keeps one snapshot for each set of connected monitors', () => {
+    const settings = new FakeSettings();
+    writeSnapshot(settings, hardwareKey([laptop, dockLeft, dockRight]), entry(0));
+    writeSnapshot(settings, hardwareKey([laptop, home]), entry(1920));
+
+    const snapshots = readSnapshots(settings);
+    assert.deepEqual(findSnapshot(snapshots, [laptop, dockLeft, dockRight]), entry(0));
+    assert.deepEqual(findSnapshot(snapshots, [home, laptop]), entry(1920));
+    assert.equal(findSnapshot(snapshots, [laptop]), null);
+});
+
+test('reads the single snapshot older versions stored', () => {
+    const settings = new FakeSettings({
+        'restore-snapshot': JSON.stringify({ hardware: 'HDMI-1,eDP-1', monitors: entry(1920) }),
+    });
+    assert.deepEqual(findSnapshot(readSnapshots(settings), [laptop, home]), entry(1920));
+});
+
+test('forgets the least recently written sets first', () => {
+    const settings = new FakeSettings();
+    for (let i = 0; i < 12; i++) writeSnapshot(settings, `set-${i}`, entry(i));
+    writeSnapshot(settings, 'set-2', entry(-1));
+    assert.deepEqual(Object.keys(readSnapshots(settings)),
+        ['set-3', 'set-4', 'set-5', 'set-6', 'set-7', 'set-8', 'set-9', 'set-10', 'set-11', 'set-2']);
+});
+
+// Laptop and `home` side by side, `home` on the left or the right.
+function deskMutter(homeLeft) {
+    const laptopLm = [homeLeft ? 1920 : 0, 0, 1, 0, true, [['eDP-1', modeId(1920, 1080, 60), {}]], {}];
+    const homeLm = [homeLeft ? 0 : 1920, 0, 1, 0, false, [['HDMI-1', modeId(1920, 1080, 60), {}]], {}];
+    return new FakeMutter([laptop, home], homeLeft ? [homeLm, laptopLm] : [laptopLm, homeLm]);
+}
+
+test('an imported snapshot survives the next capture until the extension changes the layout', () => {
+    const xml = exportLayout(stateOf(deskMutter(true)), null, 'current', '', 'xml');
+    const mutter = deskMutter(false);
+    const state = stateOf(mutter);
+    const hardware = hardwareKey(state.monitors);
+    const settings = new FakeSettings();
+
+    importLayout(state, settings, 'snapshot', '', xml);
+    const imported = findSnapshot(readSnapshots(settings), state.monitors);
+    assert.equal(imported['HDMI-1'].x, 0);
+
+    // The next configuration fetch sees every monitor on, laid out differently.
+    assert.equal(captureSnapshot(settings, hardware, snapshotOf(mutter)), false);
+    assert.deepEqual(findSnapshot(readSnapshots(settings), state.monitors), imported);
+
+    unpinSnapshot(settings, hardware);
+    assert.equal(captureSnapshot(settings, hardware, snapshotOf(mutter)), true);
+    assert.deepEqual(findSnapshot(readSnapshots(settings), state.monitors), snapshotOf(mutter));
+});
+
+test('pins only the snapshots edited by hand, and clearing drops the pins', () => {
+    const settings = new FakeSettings();
+    writeSnapshot(settings, 'docked', entry(0));
+    writeSnapshot(settings, 'home', entry(0));
+    writeEditedSnapshots(settings, { docked: entry(0), home: entry(1920) });
+    assert.equal(captureSnapshot(settings, 'docked', entry(-1)), true);
+    assert.equal(captureSnapshot(settings, 'home', entry(-1)), false);
+    assert.deepEqual(readSnapshots(settings).home, entry(1920));
+
+    clearSnapshot(settings);
+    assert.equal(captureSnapshot(settings, 'home', entry(-1)), true);
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { findConfigurationForMonitors, findSavedPlacement, parseMonitorsXml } from '../lib/xmlReader.js';
+import { fakeMonitor } from './fakeMutter.js';
+
+const MONITORS_XML = `<monitors version="2">
+  <configuration>
+    <logicalmonitor>
+      <x>0</x><y>0</y><scale>1</scale><primary>yes</primary>
+      <monitor>
+        <monitorspec><connector>eDP-1</connector><vendor>BOE</vendor><product>eDP-1</product><serial>eDP-1-0001</serial></monitorspec>
+        <mode><width>1920</width><height>1080</height><rate>60</rate></mode>
+      </monitor>
+    </logicalmonitor>
+    <logicalmonitor>
+      <x>1920</x><y>0</y><scale>1</scale>
+      <transform><rotation>left</rotation><flipped>no</flipped></transform>
+      <monitor>
+        <monitorspec><connector>DP-3</connector><vendor>DEL</vendor><product>U2720Q</product><serial>A&amp;B</serial></monitorspec>
+        <mode><width>2560</width><height>1440</height><rate>59.951</rate></mode>
+      </monitor>
+    </logicalmonitor>
+  </configuration>
+</monitors>`;
+
+test('parses logical monitors, transforms and entities', () => {
+    const { version, configurations } = parseMonitorsXml(MONITORS_XML);
+    assert.equal(version, 2);
+    const [configuration] = configurations;
+    assert.equal(configuration.layoutMode, 1);
+    assert.equal(configuration.logicalMonitors[1].transform, 1);
+    assert.equal(configuration.logicalMonitors[1].monitors[0].spec.serial, 'A&B');
+    assert.deepEqual(configuration.logicalMonitors[1].monitors[0].mode,
+        { width: 2560, height: 1440, rate: 59.951, interlaced: false });
+});
+
+test('matches a monitor by identity when its connector changed', () => {
+    const { configurations } = parseMonitorsXml(MONITORS_XML);
+    const monitors = [
+        fakeMonitor('eDP-1', { vendor: 'BOE' }),
+        fakeMonitor('DP-5', { vendor: 'DEL', product: 'U2720Q', serial: 'A&B' }),
+    ];
+    assert.equal(findConfigurationForMonitors(configurations, monitors), configurations[0]);
+    const placement = findSavedPlacement(configurations, monitors[1][0], monitors);
+    assert.equal(placement.x, 1920);
+    assert.equal(placement.transform, 1);
+});
+
+test('rejects documents that are not monitors.xml', () => {
+    assert.throws(() => parseMonitorsXml('<other/>'), /Unexpected root/);
+});